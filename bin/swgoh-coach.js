@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+// ============================================================
+//  swgoh-coach CLI — the server's roster parsing without the server
+//
+//  swgoh-coach roster <allyCode|file.json> [--format json|csv|tsv|md|summary]
+//                     [--sheet characters|ships|mods] [--data-dir DIR] [--comlink URL] [--verbose]
+//
+//  allyCode:  fetched from comlink (COMLINK_URL or --comlink)
+//  file.json: a raw comlink /player response, or a COMLINK_MODE=record fixture
+//  Names, zeta/omicron tiers and faction tags come from the game data cache the
+//  server writes to DATA_DIR/gamedata/ — without it, IDs and the tier heuristic are used.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const roster = require('../lib/roster');
+require('dotenv').config();
+
+var FORMATS = ['json', 'csv', 'tsv', 'md', 'summary'];
+
+var USAGE = [
+  'Usage: swgoh-coach roster <allyCode|file.json> [options]',
+  '',
+  'Options:',
+  '  --format json|csv|tsv|md|summary  output format (default: json)',
+  '  --sheet characters|ships|mods     table for csv/tsv/md (csv/tsv default: characters)',
+  '  --data-dir DIR                    server data directory with the gamedata/ cache (default: DATA_DIR or ./data)',
+  '  --comlink URL                     comlink base URL (default: COMLINK_URL or http://localhost:3200)',
+  '  --verbose                         print parse diagnostics to stderr'
+].join('\n');
+
+function parseArgs(argv) {
+  var args = { positional: [], format: 'json', sheet: null, dataDir: null, comlink: null, verbose: false };
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === '--format') args.format = argv[++i];
+    else if (arg.indexOf('--format=') === 0) args.format = arg.slice(9);
+    else if (arg === '--sheet') args.sheet = argv[++i];
+    else if (arg.indexOf('--sheet=') === 0) args.sheet = arg.slice(8);
+    else if (arg === '--data-dir') args.dataDir = argv[++i];
+    else if (arg.indexOf('--data-dir=') === 0) args.dataDir = arg.slice(11);
+    else if (arg === '--comlink') args.comlink = argv[++i];
+    else if (arg.indexOf('--comlink=') === 0) args.comlink = arg.slice(10);
+    else if (arg === '--verbose' || arg === '-v') args.verbose = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else args.positional.push(arg);
+  }
+  return args;
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error('Cannot read ' + file + ': ' + err.message);
+  }
+}
+
+// Same shape the server keeps in memory (see loadGameDataCache in server.js)
+function loadGameDataContext(dataDir) {
+  var ctx = {};
+  var data = readJson(path.join(dataDir, 'gamedata', 'gamedata.json'));
+  var loc = readJson(path.join(dataDir, 'gamedata', 'localization.json'));
+  if (data) {
+    ctx.skills = data.skills || {};
+    ctx.units = data.catalog ? data.catalog.unitCatalog : {};
+    ctx.categories = data.catalog ? data.catalog.categoryMap : {};
+  } else {
+    console.error('[swgoh-coach] No game data cache in ' + dataDir + ' — zeta/omicron counts use the tier heuristic');
+  }
+  if (loc) {
+    ctx.names = loc.unit_names || {};
+    ctx.localization = loc.entries || {};
+  } else {
+    console.error('[swgoh-coach] No localization cache in ' + dataDir + ' — unit names fall back to IDs');
+  }
+  return ctx;
+}
+
+async function comlinkPost(baseUrl, endpoint, body) {
+  var res = await fetch(baseUrl + endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(30000)
+  });
+  if (!res.ok) throw new Error('Comlink ' + endpoint + ' error: ' + res.status);
+  return res.json();
+}
+
+// Returns { raw, stats } for an ally code or a JSON file
+async function loadPlayer(source, comlinkUrl) {
+  var code = source.replace(/-/g, '');
+  if (/^\d{9}$/.test(code)) {
+    var results = await Promise.allSettled([
+      comlinkPost(comlinkUrl, '/player', { payload: { allyCode: code }, enums: false }),
+      comlinkPost(comlinkUrl, '/playerCharacterStats', { payload: { allyCode: code } })
+    ]);
+    if (results[0].status === 'rejected') throw results[0].reason;
+    if (results[1].status === 'rejected') {
+      console.error('[swgoh-coach] playerCharacterStats unavailable:', results[1].reason.message);
+    }
+    return {
+      raw: results[0].value,
+      stats: results[1].status === 'fulfilled' ? roster.parseCharacterStats(results[1].value) : {}
+    };
+  }
+
+  var json = readJson(path.resolve(source));
+  if (!json) throw new Error('No such file: ' + source);
+  // COMLINK_MODE=record fixtures wrap the comlink response
+  if (json.endpoint && json.response) json = json.response;
+  if (!Array.isArray(json.rosterUnit)) throw new Error(source + ' is not a comlink /player response (no rosterUnit)');
+  return { raw: json, stats: {} };
+}
+
+async function rosterCommand(args) {
+  var source = args.positional[1];
+  if (!source) throw usageError('roster needs an ally code or a JSON file');
+  if (FORMATS.indexOf(args.format) < 0) throw usageError('--format must be one of: ' + FORMATS.join(', '));
+  if (args.sheet && roster.EXPORT_SHEETS.indexOf(args.sheet) < 0) {
+    throw usageError('--sheet must be one of: ' + roster.EXPORT_SHEETS.join(', '));
+  }
+
+  var dataDir = path.resolve(args.dataDir || process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+  var comlinkUrl = (args.comlink || process.env.COMLINK_URL || 'http://localhost:3200').replace(/\/+$/, '');
+
+  var ctx = loadGameDataContext(dataDir);
+  var loaded = await loadPlayer(source, comlinkUrl);
+  ctx.stats = loaded.stats;
+  ctx.log = args.verbose ? console.error : function() {};
+  var player = roster.parsePlayer(loaded.raw, ctx);
+
+  if (args.format === 'summary') return roster.buildRosterSummary(player, ctx) + '\n';
+  if (args.format === 'json') return JSON.stringify(player, null, 2) + '\n';
+  return roster.exportRoster(player, args.format, args.sheet);
+}
+
+function usageError(message) {
+  var err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+async function main() {
+  var args = parseArgs(process.argv.slice(2));
+  if (args.help || args.positional.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+  if (args.positional[0] !== 'roster') throw usageError('Unknown command: ' + args.positional[0]);
+  process.stdout.write(await rosterCommand(args));
+}
+
+main().catch(function(err) {
+  console.error('swgoh-coach: ' + err.message);
+  if (err.usage) console.error('\n' + USAGE);
+  process.exitCode = err.usage ? 2 : 1;
+});
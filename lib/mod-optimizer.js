@@ -0,0 +1,223 @@
+// ============================================================
+//  MOD OPTIMIZER — branch-and-bound over a roster's equipped mods
+//  Works on parsed roster units (lib/roster.js parsePlayer). The search is
+//  bounded by a node count and an optional deadline: when either runs out,
+//  the best combination found so far is returned with optimal: false.
+// ============================================================
+
+var roster = require('./roster');
+
+var MOD_SLOTS = roster.MOD_SLOTS;
+var MOD_SETS = roster.MOD_SETS;
+var getModSpeed = roster.getModSpeed;
+
+var MOD_OPTIMIZER_CANDIDATES = 30;     // best mods per slot considered
+var MOD_OPTIMIZER_MAX_NODES = 200000;  // search nodes per unit before settling for the best so far
+var SPEED_SET_BONUS = 0.10;            // 4-piece speed set: +10% base speed
+
+// ===== MOD SELECTION STATS =====
+function modStatTotals(mods) {
+  var totals = {};
+  mods.forEach(function(mod) {
+    var stats = (mod.primary ? [mod.primary] : []).concat(mod.secondaries || []);
+    stats.forEach(function(st) {
+      totals[st.stat] = parseFloat(((totals[st.stat] || 0) + (st.value || 0)).toFixed(4));
+    });
+  });
+  return totals;
+}
+
+function countSets(mods) {
+  var counts = {};
+  mods.forEach(function(mod) {
+    if (mod.set) counts[mod.set] = (counts[mod.set] || 0) + 1;
+  });
+  return counts;
+}
+
+function completedSets(mods) {
+  var counts = countSets(mods);
+  var sets = [];
+  Object.keys(MOD_SETS).forEach(function(id) {
+    var set = MOD_SETS[id];
+    for (var n = 0; n < Math.floor((counts[set.key] || 0) / set.size); n++) sets.push(set.key);
+  });
+  return sets;
+}
+
+function buildModPool(player) {
+  var pool = [];
+  player.characters.forEach(function(c) {
+    (c.mods || []).forEach(function(mod, idx) {
+      pool.push({
+        id: mod.id || (c.base_id + ':' + idx),
+        owner: c.base_id,
+        set: mod.set,
+        pips: mod.pips,
+        slot: mod.slot,
+        level: mod.level,
+        primary: mod.primary,
+        secondaries: mod.secondaries
+      });
+    });
+  });
+  return pool;
+}
+
+// Base speed without mods, derived from computed stats when available. Returns 0 when
+// stats are missing, in which case target_speed applies to mod speed alone.
+function estimateBaseSpeed(unit) {
+  if (!unit.stats || !unit.stats.speed) return 0;
+  var current = unit.mods || [];
+  var flat = getModSpeed(current);
+  var hasSpeedSet = completedSets(current).indexOf('speed') >= 0;
+  return Math.round((unit.stats.speed - flat) / (hasSpeedSet ? 1 + SPEED_SET_BONUS : 1));
+}
+
+function totalSpeedFor(mods, baseSpeed) {
+  var flat = getModSpeed(mods);
+  var bonus = completedSets(mods).indexOf('speed') >= 0 ? Math.floor(baseSpeed * SPEED_SET_BONUS) : 0;
+  return baseSpeed + flat + bonus;
+}
+
+function scoreModStats(mod, weights) {
+  var score = 0;
+  var stats = (mod.primary ? [mod.primary] : []).concat(mod.secondaries || []);
+  stats.forEach(function(st) {
+    var w = weights[st.stat];
+    if (w) score += w * (st.value || 0);
+  });
+  return score;
+}
+
+// ===== SEARCH =====
+// req:     { unit, weights, primaries: { slot: stat }, sets: [MOD_SETS entry], target_speed }
+// pool:    buildModPool() output; taken: mod id → true for mods already assigned elsewhere
+// options: { maxNodes, deadline (ms timestamp) }
+// → { mods (null when nothing fits), base_speed, optimal, nodes }
+//
+// Scoring: sum of (weight × value) over each mod's primary and secondaries. With a
+// target_speed, speed past the target only counts at 1% so other weights take over.
+function optimizeUnitMods(req, pool, taken, options) {
+  options = options || {};
+  var maxNodes = options.maxNodes || MOD_OPTIMIZER_MAX_NODES;
+  var deadline = options.deadline || Infinity;
+
+  var slots = Object.values(MOD_SLOTS);
+  var weights = req.weights;
+  var speedWeight = weights.speed || 0;
+  var baseSpeed = estimateBaseSpeed(req.unit);
+  var speedSetBonus = Math.floor(baseSpeed * SPEED_SET_BONUS);
+
+  // Speed is scored on the full selection (target cap + set bonus), everything else per mod
+  var otherWeights = Object.assign({}, weights);
+  delete otherWeights.speed;
+
+  var candidates = slots.map(function(slot) {
+    var mods = pool.filter(function(m) {
+      if (m.slot !== slot || taken[m.id]) return false;
+      var requiredPrimary = req.primaries[slot];
+      return !requiredPrimary || (m.primary && m.primary.stat === requiredPrimary);
+    });
+    mods.forEach(function(m) {
+      m._other = scoreModStats(m, otherWeights);
+      m._speed = getModSpeed([m]);
+      m._score = m._other + speedWeight * m._speed;
+    });
+    mods.sort(function(a, b) { return (b._score - a._score) || (a.id < b.id ? -1 : 1); });
+    // Keep the best overall plus the best of each required set so set constraints stay satisfiable
+    var keep = mods.slice(0, MOD_OPTIMIZER_CANDIDATES);
+    req.sets.forEach(function(set) {
+      mods.filter(function(m) { return m.set === set.key; }).slice(0, 6).forEach(function(m) {
+        if (keep.indexOf(m) < 0) keep.push(m);
+      });
+    });
+    return keep;
+  });
+
+  // Most the remaining slots can add: other stats and flat speed, each maxed independently
+  var otherRemaining = new Array(slots.length + 1).fill(0);
+  var speedRemaining = new Array(slots.length + 1).fill(0);
+  for (var i = slots.length - 1; i >= 0; i--) {
+    var topOther = 0, topSpeed = 0;
+    candidates[i].forEach(function(m) {
+      topOther = Math.max(topOther, m._other);
+      topSpeed = Math.max(topSpeed, m._speed);
+    });
+    otherRemaining[i] = otherRemaining[i + 1] + topOther;
+    speedRemaining[i] = speedRemaining[i + 1] + topSpeed;
+  }
+
+  // The speed term evaluate() scores — capped at target_speed. Non-decreasing in speed,
+  // so applying it to the highest reachable speed bounds what the rest of the search can score.
+  function speedScore(speed) {
+    if (req.target_speed === null) return speedWeight * speed;
+    return speedWeight * (Math.min(speed, req.target_speed) + 0.01 * Math.max(0, speed - req.target_speed));
+  }
+
+  var required = {};
+  req.sets.forEach(function(set) { required[set.key] = (required[set.key] || 0) + set.size; });
+
+  function missingPieces(counts) {
+    var missing = 0;
+    Object.keys(required).forEach(function(k) { missing += Math.max(0, required[k] - (counts[k] || 0)); });
+    return missing;
+  }
+
+  function evaluate(mods) {
+    var score = 0;
+    mods.forEach(function(m) { score += m._other; });
+    return score + speedScore(totalSpeedFor(mods, baseSpeed));
+  }
+
+  var best = null, bestScore = -Infinity;
+  var chosen = [], usedIds = {};
+  var nodes = 0, exhausted = false;
+
+  function search(slotIdx, otherScore, flatSpeed, setCounts) {
+    if (exhausted) return;
+    nodes++;
+    if (nodes > maxNodes || ((nodes & 1023) === 0 && Date.now() > deadline)) {
+      exhausted = true;
+      return;
+    }
+    if (missingPieces(setCounts) > slots.length - slotIdx) return;
+    if (slotIdx === slots.length) {
+      var score = evaluate(chosen);
+      if (score > bestScore) { bestScore = score; best = chosen.slice(); }
+      return;
+    }
+    var bound = otherScore + otherRemaining[slotIdx] +
+      Math.max(0, speedScore(baseSpeed + speedSetBonus + flatSpeed + speedRemaining[slotIdx]));
+    if (bound <= bestScore) return;
+
+    var list = candidates[slotIdx];
+    if (list.length === 0) return search(slotIdx + 1, otherScore, flatSpeed, setCounts);
+    for (var n = 0; n < list.length && !exhausted; n++) {
+      var m = list[n];
+      if (usedIds[m.id]) continue;
+      usedIds[m.id] = true;
+      chosen.push(m);
+      setCounts[m.set] = (setCounts[m.set] || 0) + 1;
+      search(slotIdx + 1, otherScore + m._other, flatSpeed + m._speed, setCounts);
+      setCounts[m.set]--;
+      chosen.pop();
+      delete usedIds[m.id];
+    }
+  }
+
+  search(0, 0, 0, {});
+  return { mods: best, base_speed: baseSpeed, optimal: !exhausted, nodes: nodes };
+}
+
+module.exports = {
+  optimizeUnitMods: optimizeUnitMods,
+  buildModPool: buildModPool,
+  modStatTotals: modStatTotals,
+  completedSets: completedSets,
+  totalSpeedFor: totalSpeedFor,
+  estimateBaseSpeed: estimateBaseSpeed,
+
+  MOD_OPTIMIZER_MAX_NODES: MOD_OPTIMIZER_MAX_NODES,
+  SPEED_SET_BONUS: SPEED_SET_BONUS
+};
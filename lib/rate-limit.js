@@ -0,0 +1,245 @@
+// ============================================================
+//  RATE LIMITING — token buckets with named per-route policies
+//  A policy is a bucket of `capacity` tokens refilled at `refill_per_minute`;
+//  each request takes one token. Bucket state lives in a store: memory and file
+//  stores are per process (file only survives restarts); the shared file store
+//  is read and written under a lock, so every instance that mounts the same
+//  file draws from the same buckets.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// ===== POLICIES =====
+// "capacity,refillPerMinute" (e.g. "6,4") → { capacity, refill_per_minute }; fallback when unset/invalid
+function parsePolicy(spec, fallback) {
+  var parts = String(spec || '').split(',').map(function(p) { return parseFloat(p); });
+  if (parts.length !== 2 || !(parts[0] >= 1) || !(parts[1] > 0)) {
+    if (spec) console.warn('[RateLimit] Ignoring invalid policy "' + spec + '" — expected "capacity,refillPerMinute"');
+    return fallback;
+  }
+  return { capacity: parts[0], refill_per_minute: parts[1] };
+}
+
+// ===== STORES =====
+// A store maps a key to bucket state { tokens, updated_at, expires_at } and must implement
+//   update(key, updateFn) → Promise of the new state
+// where updateFn(currentState or null) returns the new state and runs atomically per key.
+// Entries past expires_at are full buckets and may be dropped.
+function pruneExpired(buckets, now) {
+  buckets.forEach(function(state, key) {
+    if (state.expires_at <= now) buckets.delete(key);
+  });
+}
+
+// Per-process buckets — reset on restart
+function createMemoryStore() {
+  var buckets = new Map();
+  var pruneTimer = setInterval(function() { pruneExpired(buckets, Date.now()); }, 60000);
+  pruneTimer.unref();
+
+  return {
+    name: 'memory',
+    update: function(key, updateFn) {
+      var state = updateFn(buckets.get(key) || null);
+      buckets.set(key, state);
+      return Promise.resolve(state);
+    }
+  };
+}
+
+// Memory store persisted to a JSON file, so limits survive restarts and redeploys.
+// Writes are batched (flushMs) and go through a temp file + rename. Still per process:
+// instances sharing the file would each enforce their own buckets and overwrite each other.
+function createFileStore(filePath, options) {
+  var flushMs = (options && options.flushMs) || 2000;
+  var buckets = new Map();
+  var flushTimer = null;
+
+  try {
+    var saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    Object.keys(saved).forEach(function(key) { buckets.set(key, saved[key]); });
+    pruneExpired(buckets, Date.now());
+    console.log('[RateLimit] Loaded', buckets.size, 'buckets from', filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('[RateLimit] Failed to read', filePath, ':', err.message);
+  }
+
+  function flush() {
+    flushTimer = null;
+    pruneExpired(buckets, Date.now());
+    var data = {};
+    buckets.forEach(function(state, key) { data[key] = state; });
+    var tmpPath = filePath + '.' + process.pid + '.tmp';
+    fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      .then(function() { return fs.promises.writeFile(tmpPath, JSON.stringify(data)); })
+      .then(function() { return fs.promises.rename(tmpPath, filePath); })
+      .catch(function(err) { console.warn('[RateLimit] Failed to save buckets:', err.message); });
+  }
+
+  return {
+    name: 'file',
+    update: function(key, updateFn) {
+      var state = updateFn(buckets.get(key) || null);
+      buckets.set(key, state);
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushMs);
+        flushTimer.unref();
+      }
+      return Promise.resolve(state);
+    }
+  };
+}
+
+// Buckets shared by every process using filePath (one host, or a volume several instances
+// mount). Each update takes a lock file, reads the buckets, writes them back and releases
+// the lock, so per-key updates are atomic across instances. A lock older than staleLockMs
+// is left over from a crashed process and is broken; waiting past lockTimeoutMs fails the
+// update (the limiter then lets the request through).
+function createSharedFileStore(filePath, options) {
+  options = options || {};
+  var lockPath = filePath + '.lock';
+  var lockTimeoutMs = options.lockTimeoutMs || 2000;
+  var staleLockMs = options.staleLockMs || 10000;
+  var queue = Promise.resolve();   // one update at a time from this process
+
+  async function acquireLock() {
+    var started = Date.now();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    for (;;) {
+      try {
+        var handle = await fs.promises.open(lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      try {
+        var stat = await fs.promises.stat(lockPath);
+        if (Date.now() - stat.mtimeMs > staleLockMs) {
+          console.warn('[RateLimit] Breaking stale lock', lockPath);
+          await fs.promises.unlink(lockPath).catch(function() {});
+          continue;
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        continue;
+      }
+      if (Date.now() - started > lockTimeoutMs) throw new Error('Timed out waiting for ' + lockPath);
+      await new Promise(function(resolve) { setTimeout(resolve, 5 + Math.random() * 10); });
+    }
+  }
+
+  async function readBuckets() {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      console.warn('[RateLimit] Failed to read', filePath, ':', err.message, '— starting with full buckets');
+      return {};
+    }
+  }
+
+  async function lockedUpdate(key, updateFn) {
+    await acquireLock();
+    try {
+      var buckets = new Map(Object.entries(await readBuckets()));
+      var state = updateFn(buckets.get(key) || null);
+      buckets.set(key, state);
+      pruneExpired(buckets, Date.now());
+      var tmpPath = filePath + '.' + process.pid + '.tmp';
+      await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(buckets)));
+      await fs.promises.rename(tmpPath, filePath);
+      return state;
+    } finally {
+      await fs.promises.unlink(lockPath).catch(function() {});
+    }
+  }
+
+  return {
+    name: 'shared-file',
+    update: function(key, updateFn) {
+      var result = queue.then(function() { return lockedUpdate(key, updateFn); });
+      queue = result.catch(function() {});
+      return result;
+    }
+  };
+}
+
+// ===== LIMITER =====
+// options.policies: name → { capacity, refill_per_minute }
+// options.store:    a store (default: memory)
+// options.key:      req → client key (default: req.ip)
+function createRateLimiter(options) {
+  var policies = options.policies;
+  var store = options.store || createMemoryStore();
+  var keyFn = options.key || function(req) { return req.ip; };
+
+  // Takes one token from key's bucket for a policy.
+  // → { allowed, limit, remaining, reset (s until full), retry_after (s until a token is free) }
+  async function consume(policyName, key) {
+    var policy = policies[policyName];
+    if (!policy) throw new Error('Unknown rate limit policy: ' + policyName);
+    var ratePerMs = policy.refill_per_minute / 60000;
+    var now = Date.now();
+    var allowed = false;
+
+    var state = await store.update(policyName + ':' + key, function(current) {
+      var tokens = policy.capacity;
+      if (current) tokens = Math.min(policy.capacity, current.tokens + (now - current.updated_at) * ratePerMs);
+      allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+      return { tokens: tokens, updated_at: now, expires_at: now + Math.ceil((policy.capacity - tokens) / ratePerMs) };
+    });
+
+    return {
+      allowed: allowed,
+      limit: policy.capacity,
+      remaining: Math.floor(state.tokens),
+      reset: Math.ceil((policy.capacity - state.tokens) / ratePerMs / 1000),
+      retry_after: allowed ? 0 : Math.ceil((1 - state.tokens) / ratePerMs / 1000)
+    };
+  }
+
+  // Express middleware. policy: a policy name, or req → policy name.
+  // Sets RateLimit-Limit / -Remaining / -Reset / -Policy; answers 429 with Retry-After when empty.
+  // Store failures let the request through — a broken store must not take the API down.
+  function middleware(policy) {
+    return async function(req, res, next) {
+      var policyName = typeof policy === 'function' ? policy(req) : policy;
+      var result;
+      try {
+        result = await consume(policyName, keyFn(req));
+      } catch (err) {
+        console.error('[RateLimit] ' + policyName + ' check failed:', err.message);
+        return next();
+      }
+
+      var p = policies[policyName];
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      res.set('RateLimit-Reset', String(result.reset));
+      res.set('RateLimit-Policy', p.capacity + ';w=' + Math.round(p.capacity / p.refill_per_minute * 60) + ';policy="' + policyName + '"');
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retry_after));
+        return res.status(429).json({
+          error: 'Too many requests. Please wait.',
+          reason: 'rate_limit',
+          policy: policyName,
+          retry_after: result.retry_after
+        });
+      }
+      next();
+    };
+  }
+
+  return { consume: consume, middleware: middleware, policies: policies, store: store };
+}
+
+module.exports = {
+  createRateLimiter: createRateLimiter,
+  createMemoryStore: createMemoryStore,
+  createFileStore: createFileStore,
+  createSharedFileStore: createSharedFileStore,
+  parsePolicy: parsePolicy
+};
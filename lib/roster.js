@@ -0,0 +1,1209 @@
+// ============================================================
+//  ROSTER PARSING — comlink player JSON → coach roster format
+//  Shared by server.js and the swgoh-coach CLI (bin/swgoh-coach.js).
+//  Nothing here fetches: game data maps are passed in by the caller.
+// ============================================================
+
+var JOURNEY_CATALOG = require('../catalog/journeys.json');
+
+// ===== GAME DATA CONTEXT =====
+// Lookups take a context object; every field is optional and missing data falls back
+// to cleaned-up IDs (names) or the tier heuristic (zetas/omicrons):
+//   skills:       skillId → { nameKey, zetaTier, omicronTier, omicronMode, ... }
+//   names:        baseId → unit name
+//   localization: localization key → text (ability, category and item names)
+//   units:        baseId → unit catalog entry { force_alignment, category_ids, ... }
+//   categories:   categoryId → { id, descKey, visible }
+//   fallback:     { names, localization } consulted when the maps above miss
+//                 (the server passes English here when serving another language)
+
+// Fallback: convert raw ID to readable name
+function cleanUnitId(id) {
+  if (!id) return 'Unknown';
+  return id
+    .replace(/_/g, ' ')
+    .toLowerCase()
+    .replace(/\b\w/g, function(c) { return c.toUpperCase(); });
+}
+
+function lookup(ctx, field, key) {
+  ctx = ctx || {};
+  if (ctx[field] && ctx[field][key]) return ctx[field][key];
+  if (ctx.fallback && ctx.fallback[field] && ctx.fallback[field][key]) return ctx.fallback[field][key];
+  return null;
+}
+
+function getUnitName(definitionId, ctx) {
+  // definitionId comes as "BASEUNITID:SEVEN_STAR" — strip the rarity suffix
+  var baseId = (definitionId || '').split(':')[0];
+  return lookup(ctx, 'names', baseId) || cleanUnitId(baseId);
+}
+
+function getLocalizedText(key, ctx) {
+  return lookup(ctx, 'localization', key);
+}
+
+// ===== UNIT TAGS (factions, roles, alignment) =====
+// forceAlignment on the unit definition: 1 = neutral, 2 = light, 3 = dark
+var FORCE_ALIGNMENTS = { 1: 'neutral', 2: 'light', 3: 'dark' };
+
+// Galactic Legend base IDs (from the journey catalog)
+var GALACTIC_LEGEND_IDS = JOURNEY_CATALOG.journeys
+  .filter(function(j) { return j.type === 'galactic_legend'; })
+  .map(function(j) { return j.id; });
+
+function getCategoryName(categoryId, ctx) {
+  var cat = ctx && ctx.categories ? ctx.categories[categoryId] : null;
+  var text = cat ? getLocalizedText(cat.descKey, ctx) : null;
+  if (text) return text;
+  // Fallback: "affiliation_oldrepublic" → "Oldrepublic"
+  return cleanUnitId(String(categoryId).replace(/^[a-z]+_/, ''));
+}
+
+// Faction / role / alignment tags for a unit, from its game data categories:
+//   alignment_* → alignment, role_* → roles (role_capital = capital ship),
+//   affiliation_* / profession_* / species_* → factions, galactic_legend → GL flag
+function getUnitTags(baseId, ctx) {
+  var entry = ctx && ctx.units ? ctx.units[baseId] : null;
+  var categories = (ctx && ctx.categories) || {};
+  var tags = {
+    alignment: null,
+    roles: [],
+    factions: [],
+    galactic_legend: GALACTIC_LEGEND_IDS.indexOf(baseId) >= 0,
+    capital_ship: false,
+    categories: []
+  };
+  if (!entry) return tags;
+
+  tags.alignment = FORCE_ALIGNMENTS[entry.force_alignment] || null;
+  entry.category_ids.forEach(function(id) {
+    var cat = categories[id];
+    if (cat && !cat.visible && id !== 'galactic_legend') return;
+    tags.categories.push(id);
+    if (id.indexOf('alignment_') === 0) {
+      tags.alignment = id.replace('alignment_', '');
+    } else if (id === 'role_capital') {
+      tags.capital_ship = true;
+      tags.roles.push(getCategoryName(id, ctx));
+    } else if (id.indexOf('role_') === 0) {
+      tags.roles.push(getCategoryName(id, ctx));
+    } else if (/^(affiliation|profession|species)_/.test(id)) {
+      tags.factions.push(getCategoryName(id, ctx));
+    } else if (id === 'galactic_legend') {
+      tags.galactic_legend = true;
+    }
+  });
+  return tags;
+}
+
+function isGalacticLegend(unit) {
+  return unit.galactic_legend === true || GALACTIC_LEGEND_IDS.indexOf(unit.base_id) >= 0;
+}
+
+// ===== ABILITIES (zeta / omicron) =====
+// comlink OmicronMode enum → game mode
+var OMICRON_MODES = {
+  1:  { key: 'all',        label: 'All modes' },
+  2:  { key: 'pve',        label: 'PvE' },
+  3:  { key: 'pvp',        label: 'PvP' },
+  4:  { key: 'raid',       label: 'Raid' },
+  5:  { key: 'tb',         label: 'TB' },        // territory strike
+  6:  { key: 'tb',         label: 'TB' },        // territory covert
+  7:  { key: 'tb',         label: 'TB' },        // territory battle (both)
+  8:  { key: 'tw',         label: 'TW' },
+  9:  { key: 'gac',        label: 'GAC' },       // both 3v3 and 5v5
+  10: { key: 'war',        label: 'War' },
+  11: { key: 'conquest',   label: 'Conquest' },
+  12: { key: 'challenge',  label: 'Galactic Challenge' },
+  13: { key: 'pve_event',  label: 'PvE Event' },
+  14: { key: 'gac_3v3',    label: 'GAC 3v3' },
+  15: { key: 'gac_5v5',    label: 'GAC 5v5' }
+};
+var GAC_OMICRON_MODES = [9, 14, 15];
+
+// Ability type from the skill ID prefix, e.g. "leaderskill_DARTHTRAYA" → leader
+var ABILITY_TYPES = {
+  basicskill: 'basic',
+  specialskill: 'special',
+  leaderskill: 'leader',
+  uniqueskill: 'unique',
+  ultimateability: 'ultimate',
+  hardwareskill: 'hardware',
+  contractskill: 'contract'
+};
+
+function getAbilityType(skillId) {
+  var prefix = String(skillId || '').split('_')[0].toLowerCase();
+  return ABILITY_TYPES[prefix] || 'ability';
+}
+
+function getAbilityName(skillId, ctx) {
+  var def = ctx && ctx.skills ? ctx.skills[skillId] : null;
+  var text = def ? getLocalizedText(def.nameKey, ctx) : null;
+  return text || cleanUnitId(skillId);
+}
+
+// { id, name, type } plus the omicron game mode when withOmicronMode is set
+function describeAbility(skillId, withOmicronMode, ctx) {
+  var ability = { id: skillId, name: getAbilityName(skillId, ctx), type: getAbilityType(skillId) };
+  if (withOmicronMode) {
+    var def = ctx && ctx.skills ? ctx.skills[skillId] : null;
+    var mode = def ? OMICRON_MODES[def.omicronMode] : null;
+    ability.omicron_mode = mode ? mode.key : null;
+    ability.omicron_mode_label = mode ? mode.label : null;
+  }
+  return ability;
+}
+
+// ===== MOD + STAT DEFINITIONS =====
+// Mod definitionId is "<set><pips><slot>", e.g. "451" = Speed set, 5-dot, square
+var MOD_SETS = {
+  '1': { key: 'health',      name: 'Health',      size: 2 },
+  '2': { key: 'offense',     name: 'Offense',     size: 4 },
+  '3': { key: 'defense',     name: 'Defense',     size: 2 },
+  '4': { key: 'speed',       name: 'Speed',       size: 4 },
+  '5': { key: 'crit_chance', name: 'Crit Chance', size: 2 },
+  '6': { key: 'crit_damage', name: 'Crit Damage', size: 4 },
+  '7': { key: 'potency',     name: 'Potency',     size: 2 },
+  '8': { key: 'tenacity',    name: 'Tenacity',    size: 2 }
+};
+
+var MOD_SLOTS = {
+  '1': 'square', '2': 'arrow', '3': 'diamond', '4': 'triangle', '5': 'circle', '6': 'cross'
+};
+
+// Mod color tier (mod.tier): 1 = grey (E) … 5 = gold (A)
+var MOD_TIERS = {
+  '1': { color: 'grey',   grade: 'E' },
+  '2': { color: 'green',  grade: 'D' },
+  '3': { color: 'blue',   grade: 'C' },
+  '4': { color: 'purple', grade: 'B' },
+  '5': { color: 'gold',   grade: 'A' }
+};
+
+// comlink unitStat IDs that appear on mods.
+// unscaledDecimalValue encoding (CONFIRMED from logs):
+//   percent: true  (CC, CD, potency, tenacity, offense%, defense%, HP%, prot%…)
+//     stored as percentage_as_decimal × 1,000,000
+//     e.g. CC 1.385% → stored as 1385000 (1385000/1000000 = 1.385, display as 1.38%)
+//   otherwise flat integer stats (Speed, HP, Protection, Offense, Defense):
+//     stored as flat_value × 10,000
+//     e.g. speed 25 → stored as 250000 (250000/10000 = 25)
+var UNIT_STATS = {
+  '1':  { key: 'health',         name: 'Health' },
+  '5':  { key: 'speed',          name: 'Speed' },
+  '16': { key: 'crit_damage',    name: 'Critical Damage %',    percent: true },
+  '17': { key: 'potency',        name: 'Potency %',            percent: true },
+  '18': { key: 'tenacity',       name: 'Tenacity %',           percent: true },
+  '28': { key: 'protection',     name: 'Protection' },
+  '41': { key: 'offense',        name: 'Offense' },
+  '42': { key: 'defense',        name: 'Defense' },
+  '48': { key: 'offense_pct',    name: 'Offense %',            percent: true },
+  '49': { key: 'defense_pct',    name: 'Defense %',            percent: true },
+  '52': { key: 'accuracy',       name: 'Accuracy %',           percent: true },
+  '53': { key: 'crit_chance',    name: 'Critical Chance %',    percent: true },
+  '54': { key: 'crit_avoidance', name: 'Critical Avoidance %', percent: true },
+  '55': { key: 'health_pct',     name: 'Health %',             percent: true },
+  '56': { key: 'protection_pct', name: 'Protection %',         percent: true }
+};
+
+function decodeModDefinition(definitionId) {
+  var digits = String(definitionId || '');
+  var set = MOD_SETS[digits.charAt(0)];
+  return {
+    set: set ? set.key : null,
+    set_name: set ? set.name : null,
+    pips: parseInt(digits.charAt(1)) || 0,
+    slot: MOD_SLOTS[digits.charAt(2)] || null
+  };
+}
+
+function decodeModStatValue(statId, rawVal) {
+  var v = parseInt(rawVal || 0);
+  var def = UNIT_STATS[String(statId)];
+  if (def && def.percent) {
+    // Percentage stat: value/1,000,000 gives decimal (e.g. 0.01385), ×100 = 1.385%
+    return parseFloat((v / 1000000 * 100).toFixed(4));
+  }
+  // Flat stat (speed, HP, etc.): value/10,000
+  return Math.round(v / 10000);
+}
+
+function decodeModStat(statId, rawVal) {
+  var def = UNIT_STATS[String(statId)];
+  return {
+    stat: statKeyForId(statId),
+    name: def ? def.name : 'Stat ' + statId,
+    stat_id: String(statId),
+    value: decodeModStatValue(statId, rawVal)
+  };
+}
+
+// Raw comlink equippedStatMod entry → { id, set, slot, pips, tier, color, primary, secondaries, … }
+function decodeMod(mod) {
+  var def = decodeModDefinition(mod.definitionId);
+  var tier = MOD_TIERS[String(mod.tier || '')];
+  var modData = {
+    id: mod.id || '',
+    definitionId: mod.definitionId || '',
+    set: def.set,
+    set_name: def.set_name,
+    slot: def.slot,
+    pips: def.pips,
+    level: mod.level || 0,
+    tier: mod.tier || 0,
+    color: tier ? tier.color : null,
+    grade: tier ? tier.grade : null,
+    primary: null,
+    secondaries: []
+  };
+
+  if (mod.primaryStat && mod.primaryStat.stat) {
+    var pStatId = String(mod.primaryStat.stat.unitStat || mod.primaryStat.stat.unitStatId || '');
+    modData.primary = decodeModStat(pStatId, mod.primaryStat.stat.unscaledDecimalValue);
+  }
+
+  (mod.secondaryStat || []).forEach(function(sec) {
+    if (sec.stat) {
+      var sStatId = String(sec.stat.unitStatId || sec.stat.unitStat || '');
+      var decoded = decodeModStat(sStatId, sec.stat.unscaledDecimalValue);
+      decoded.rolls = sec.statRolls || 0;
+      modData.secondaries.push(decoded);
+    }
+  });
+
+  return modData;
+}
+
+// Accepts a stat key ("crit_chance"), display name ("Critical Chance %") or ID ("53")
+function resolveStatKey(input) {
+  var norm = String(input || '').toLowerCase().replace(/%/g, ' pct').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (UNIT_STATS[norm]) return UNIT_STATS[norm].key;
+  var found = null;
+  Object.keys(UNIT_STATS).forEach(function(id) {
+    var st = UNIT_STATS[id];
+    var nameNorm = st.name.toLowerCase().replace(/%/g, ' pct').replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (st.key === norm || nameNorm === norm || nameNorm.replace('critical', 'crit') === norm) found = st.key;
+  });
+  return found;
+}
+
+function statKeyForId(statId) {
+  return UNIT_STATS[String(statId)] ? UNIT_STATS[String(statId)].key : 'stat_' + statId;
+}
+
+// ===== PLAYER PARSING =====
+// playerCharacterStats response → { baseId → { speed, health, protection, phys_dmg, spec_dmg,
+// armor, resistance, crit_chance, crit_dmg, potency, tenacity, mastery } }
+function parseCharacterStats(statsRaw) {
+  // playerCharacterStats returns array of { defId, baseId, stats: { [statId]: value } }
+  // or { roster: [...] } depending on comlink version
+  var statsArr = Array.isArray(statsRaw) ? statsRaw :
+                 ((statsRaw && (statsRaw.roster || statsRaw.units || statsRaw.data)) || []);
+  var unitStatsMap = {};
+  statsArr.forEach(function(entry) {
+    // baseId may be in entry.defId, entry.baseId, or entry.definitionId
+    var bid = (entry.defId || entry.baseId || entry.definitionId || '').split(':')[0];
+    if (!bid) return;
+    var s = entry.stats || entry.stat || entry.finalStats || {};
+    // comlink stat IDs:
+    // 1=HP, 2=Strength, 3=Agility, 4=Intelligence, 5=Speed, 6=AttackDmg, 7=AbilityPwr, 8=Armor, 9=Resistance
+    // 14=HP%, 16=CritDmg, 17=Potency, 18=Tenacity, 27=Protection, 28=Protection%
+    // 37=PhysOffense(final), 38=SpecOffense(final), 39=PhysDefense(final%), 40=SpecDefense(final%)
+    // 41=Offense, 42=Defense, 48=Offense%, 49=Defense%, 53=CritChance, 55=HP%, 56=Protection%
+    // Note: final offense/defense use IDs 37/38/39/40 in the computed stats response
+    unitStatsMap[bid] = {
+      speed:       s['5']   || s['Speed']   || 0,
+      health:      s['1']   || s['Health']  || 0,
+      protection:  s['28']  || s['27']  || s['Protection'] || 0,
+      phys_dmg:    s['37']  || s['41']  || s['PhysicalDamage'] || 0,
+      spec_dmg:    s['38']  || s['42']  || s['SpecialDamage'] || 0,
+      armor:       s['8']   || s['Armor']   || 0,
+      resistance:  s['9']   || s['Resistance'] || 0,
+      crit_chance: s['53']  || s['CriticalChance'] || 0,
+      crit_dmg:    s['16']  || s['CriticalDamage'] || 0,
+      potency:     s['17']  || s['Potency']  || 0,
+      tenacity:    s['18']  || s['Tenacity'] || 0,
+      mastery:     s['Mastery'] || s['mastery'] || 0,
+    };
+  });
+  return unitStatsMap;
+}
+
+// Transform raw comlink player data → coach roster format.
+// options: a game data context (see top of file) plus
+//   stats:    baseId → computed stats, from parseCharacterStats()
+//   allyCode: used when raw has no allyCode
+//   log:      logger for the parse diagnostics (default console.log)
+function parsePlayer(raw, options) {
+  var ctx = options || {};
+  var unitStatsMap = ctx.stats || {};
+  var skills = ctx.skills || {};
+  var skillsLoaded = Object.keys(skills).length > 0;
+  var log = ctx.log || console.log;
+
+  log('[SWGoH] Comlink response — name:', raw.name, 'units:', (raw.rosterUnit || []).length);
+  log('[SWGoH] Raw top-level keys:', Object.keys(raw).join(', '));
+  
+  // Log any field that might contain currency/resource data
+  Object.keys(raw).forEach(function(key) {
+    var val = raw[key];
+    if (Array.isArray(val) && val.length > 0 && val.length < 50 && key !== 'rosterUnit' && key !== 'profileStat') {
+      log('[SWGoH] Field "' + key + '" (' + val.length + ' items), sample:', JSON.stringify(val[0]).slice(0, 200));
+    }
+  });
+
+  // ===== TRANSFORM comlink → frontend format =====
+  var rosterUnits = raw.rosterUnit || [];
+
+  // Extract GP from profileStat array
+  var gpTotal = 0, gpChar = 0, gpShip = 0;
+  (raw.profileStat || []).forEach(function(s) {
+    var key = (s.nameKey || '').toUpperCase();
+    var val = parseInt(s.value) || 0;
+    if (key.indexOf('GALACTIC_POWER') >= 0 && key.indexOf('CHAR') < 0 && key.indexOf('SHIP') < 0) gpTotal = val;
+    if (key.indexOf('CHAR') >= 0 && key.indexOf('GALACTIC') >= 0) gpChar = val;
+    if (key.indexOf('SHIP') >= 0 && key.indexOf('GALACTIC') >= 0) gpShip = val;
+  });
+
+  // If nameKey-based extraction didn't work, try index-based
+  // profileStat indices: typically index 0 = total GP, but varies
+  if (gpTotal === 0 && raw.profileStat && raw.profileStat.length > 0) {
+    raw.profileStat.forEach(function(s) {
+      var id = s.index || s.statId || s.id || '';
+      var val = parseInt(s.value) || 0;
+      if (id === '1' || id === 1) gpTotal = val;
+    });
+  }
+
+  // Parse each roster unit
+  var characters = [];
+  var ships = [];
+
+  // DEBUG: Log full first mod to expose real unscaledDecimalValue format
+  var modDebugLogged = false;
+  rosterUnits.forEach(function(unit) {
+    if (!modDebugLogged && unit.combatType === 1 && unit.equippedStatMod && unit.equippedStatMod.length > 0) {
+      var mod = unit.equippedStatMod[0];
+      log('[MOD_DEBUG] Full first mod on', getUnitName(unit.definitionId, ctx), ':', JSON.stringify(mod).slice(0, 1000));
+      // Log all secondaries raw values so we can see the actual numbers
+      (mod.secondaryStat || []).forEach(function(sec, i) {
+        if (sec.stat) {
+          log('[MOD_DEBUG] Secondary', i, '- statId:', sec.stat.unitStatId || sec.stat.unitStat, 
+            'unscaledDecimalValue:', sec.stat.unscaledDecimalValue,
+            'parsed int:', parseInt(sec.stat.unscaledDecimalValue || 0));
+        }
+      });
+      if (mod.primaryStat && mod.primaryStat.stat) {
+        log('[MOD_DEBUG] Primary - statId:', mod.primaryStat.stat.unitStat || mod.primaryStat.stat.unitStatId,
+          'unscaledDecimalValue:', mod.primaryStat.stat.unscaledDecimalValue,
+          'parsed int:', parseInt(mod.primaryStat.stat.unscaledDecimalValue || 0));
+      }
+      modDebugLogged = true;
+    }
+  });
+
+  // DEBUG: Log first character unit structure
+  var debugLogged = false;
+  rosterUnits.forEach(function(unit) {
+    if (!debugLogged && (unit.combatType === 1 || (unit.currentTier && unit.currentTier > 1))) {
+      log('[SWGoH] === DEBUG: First character unit ===');
+      log('[SWGoH] Unit keys:', Object.keys(unit).join(', '));
+      if (unit.skill && unit.skill.length > 0) {
+        log('[SWGoH] Skill[0]:', JSON.stringify(unit.skill[0]).slice(0, 300));
+        var highSkill = unit.skill.find(function(s) { return s.tier >= 7; });
+        if (highSkill) log('[SWGoH] High-tier skill:', JSON.stringify(highSkill).slice(0, 300));
+        
+        // Show skill-to-gamedata matching for all high-tier skills
+        unit.skill.forEach(function(sk) {
+          if (sk.tier >= 7) {
+            var def = skills[sk.id];
+            if (def) {
+              log('[SWGoH]   Skill', sk.id, 'playerTier:', sk.tier, 
+                'maxTier:', def.maxTier, 'zetaTier:', def.zetaTier, 
+                'omicronTier:', def.omicronTier, 'omicronMode:', def.omicronMode,
+                '→', (def.omicronTier > 0 && sk.tier >= def.omicronTier) ? 'OMICRON APPLIED' : 
+                     (def.zetaTier > 0 && sk.tier >= def.zetaTier) ? 'ZETA APPLIED' : 'no special');
+            } else {
+              log('[SWGoH]   Skill', sk.id, 'playerTier:', sk.tier, '→ NOT IN SKILL MAP');
+            }
+          }
+        });
+      }
+      if (unit.equippedStatMod && unit.equippedStatMod.length > 0) {
+        log('[SWGoH] equippedStatMod[0]:', JSON.stringify(unit.equippedStatMod[0]).slice(0, 600));
+      } else {
+        var modFields = Object.keys(unit).filter(function(k) { return k.toLowerCase().indexOf('mod') >= 0; });
+        log('[SWGoH] No equippedStatMod. Mod-like fields:', modFields.join(', ') || 'NONE');
+      }
+      debugLogged = true;
+    }
+  });
+
+  rosterUnits.forEach(function(unit) {
+    var baseId = (unit.definitionId || '').split(':')[0];
+    var name = getUnitName(unit.definitionId, ctx);
+    var stars = unit.currentRarity || 0;
+    var level = unit.currentLevel || 0;
+    var gear = unit.currentTier || 0;
+
+    // Relic: comlink currentTier where display = currentTier - 2
+    var relicRaw = (unit.relic && unit.relic.currentTier) ? unit.relic.currentTier : 0;
+    var relicDisplay = relicRaw > 2 ? relicRaw - 2 : 0;
+
+    // Count zetas and omicrons from skills — INDEPENDENTLY.
+    // A single skill can have BOTH a zeta tier AND an omicron tier (they are different upgrades).
+    // e.g. Traya leader: zetaTier:8, omicronTier:9 — if player is at tier 9, counts as BOTH 1 zeta AND 1 omicron.
+    // We track the skill IDs so the AI can see exactly which abilities are upgraded.
+    var zetas = 0, omicrons = 0;
+    var zetaSkills = [], omicronSkills = [];       // skill IDs that have been applied
+    var missingZetas = [], missingOmicrons = [];   // skill IDs available but not yet applied
+
+    (unit.skill || []).forEach(function(sk) {
+      var skillDef = skills[sk.id];
+      var inGameTier = (sk.tier || 0) + 1;
+
+      if (skillDef && skillsLoaded) {
+        // Zeta: check independently
+        if (skillDef.zetaTier > 0) {
+          if (inGameTier >= skillDef.zetaTier) {
+            zetas++;
+            zetaSkills.push(sk.id);
+          } else {
+            missingZetas.push(sk.id);
+          }
+        }
+        // Omicron: check independently (separate from zeta)
+        if (skillDef.omicronTier > 0) {
+          if (inGameTier >= skillDef.omicronTier) {
+            omicrons++;
+            omicronSkills.push(sk.id);
+          } else {
+            missingOmicrons.push(sk.id);
+          }
+        }
+      } else {
+        // Fallback heuristic when skill map unavailable
+        if (inGameTier >= 9) { omicrons++; omicronSkills.push(sk.id); }
+        else if (inGameTier >= 8) { zetas++; zetaSkills.push(sk.id); }
+      }
+    });
+
+    // Extract equipped mods — set/slot/pips/tier and stat names decoded via the MOD + STAT tables
+    var mods = (unit.equippedStatMod || []).map(decodeMod);
+
+    // combatType: 1 = character, 2 = ship
+    var combatType = unit.combatType || 0;
+    if (!combatType) {
+      // Infer: ships don't have gear or relics
+      combatType = (gear > 1 || relicRaw > 0) ? 1 : 2;
+    }
+
+    var parsed = {
+      base_id: baseId,
+      name: name,
+      combat_type: combatType,
+      rarity: stars,
+      level: level,
+      gear_level: combatType === 1 ? gear : 0,
+      relic_tier: relicDisplay,
+      power: 0,
+      zeta_abilities:         zetaSkills.map(function(id) { return describeAbility(id, false, ctx); }),
+      omicron_abilities:      omicronSkills.map(function(id) { return describeAbility(id, true, ctx); }),
+      missing_zeta_abilities:    missingZetas.map(function(id) { return describeAbility(id, false, ctx); }),
+      missing_omicron_abilities: missingOmicrons.map(function(id) { return describeAbility(id, true, ctx); }),
+      zeta_skill_ids:         zetaSkills,
+      omicron_skill_ids:      omicronSkills,
+      missing_zeta_ids:       missingZetas,
+      missing_omicron_ids:    missingOmicrons,
+      mods: combatType === 1 ? mods : [],
+    };
+    Object.assign(parsed, getUnitTags(baseId, ctx));
+
+    // Merge in computed stats from playerCharacterStats if available
+    if (combatType === 1 && unitStatsMap[baseId]) {
+      parsed.stats = unitStatsMap[baseId];
+    }
+
+    if (combatType === 2) {
+      ships.push(parsed);
+    } else {
+      characters.push(parsed);
+    }
+  });
+
+  log('[SWGoH] Parsed — Characters:', characters.length, 'Ships:', ships.length, 'GP:', gpTotal);
+  
+  var modCount = 0, zetaTotal = 0, omicronTotal = 0;
+  characters.forEach(function(c) {
+    if (c.mods && c.mods.length > 0) modCount++;
+    zetaTotal += (c.zeta_abilities || []).length;
+    omicronTotal += (c.omicron_abilities || []).length;
+  });
+  log('[SWGoH] Characters with mods:', modCount, '| Total zetas:', zetaTotal, '| Total omicrons:', omicronTotal);
+  log('[SWGoH] Skill data map status:', skillsLoaded ? 'LOADED (' + Object.keys(skills).length + ' skills)' : 'NOT LOADED (using fallback)');
+
+  // Log any characters that have zetas or omicrons for verification
+  characters.forEach(function(c) {
+    var z = (c.zeta_abilities || []).length;
+    var o = (c.omicron_abilities || []).length;
+    if (z > 0 || o > 0) {
+      log('[SWGoH]  ', c.name, '→ Z' + z + ' O' + o);
+    }
+  });
+
+  // Build response matching what the frontend expects
+  var response = {
+    name: raw.name || 'Unknown',
+    ally_code: raw.allyCode || ctx.allyCode || '',
+    galactic_power: gpTotal,
+    character_galactic_power: gpChar,
+    ship_galactic_power: gpShip,
+    guild_name: raw.guildName || '',
+    guild_id: raw.guildId || '',
+    arena: { rank: null },
+    fleet_arena: { rank: null },
+    grand_arena: { rank: null, league_tier: null, division_tier: null, _raw: null },
+    level: raw.level || 85,
+    characters: characters,
+    ships: ships,
+  };
+
+  // Extract arena ranks from pvpProfile
+  // pvpProfile only has tab 1 (squad arena) and tab 2 (fleet arena)
+  // GA league/division lives in raw.seasonStatus and raw.playerRating.playerRankStatus
+  log('[SWGoH] pvpProfile tabs:', (raw.pvpProfile || []).map(function(p){ return p.tab; }).join(', '));
+
+  response.grand_arena = { rank: null, league_tier: null, division_tier: null };
+  (raw.pvpProfile || []).forEach(function(pvp) {
+    var tab = parseInt(pvp.tab) || 0;
+    if (tab === 1) response.arena.rank = pvp.rank || null;
+    if (tab === 2) response.fleet_arena.rank = pvp.rank || null;
+  });
+
+  // GA league + division: lives in seasonStatus array
+  // Each entry: { league: "BRONZIUM", division: 20, seasonPoints, wins, losses, ... }
+  // Take the most recent/active season (first entry with a league value)
+  var gaSeasonStatus = null;
+  (raw.seasonStatus || []).forEach(function(s) {
+    if (s.league && !gaSeasonStatus) gaSeasonStatus = s;
+  });
+  if (gaSeasonStatus) {
+    response.grand_arena.league_tier  = gaSeasonStatus.league;   // e.g. "BRONZIUM"
+    response.grand_arena.division_tier = gaSeasonStatus.division; // e.g. 20
+    // GA rank isn't in pvpProfile — use seasonPoints as proxy, or leave null
+    response.grand_arena.season_points = gaSeasonStatus.seasonPoints || null;
+    response.grand_arena.wins          = gaSeasonStatus.wins || 0;
+    response.grand_arena.losses        = gaSeasonStatus.losses || 0;
+    log('[SWGoH] GA from seasonStatus — league:', gaSeasonStatus.league, 'division:', gaSeasonStatus.division, 'points:', gaSeasonStatus.seasonPoints);
+  }
+
+  // Also pull GA rank from playerRating.playerRankStatus if present
+  if (raw.playerRating && raw.playerRating.playerRankStatus) {
+    var prs = raw.playerRating.playerRankStatus;
+    // Only override if seasonStatus didn't give us league data
+    if (!response.grand_arena.league_tier) {
+      response.grand_arena.league_tier  = prs.leagueId   || null;
+      response.grand_arena.division_tier = prs.divisionId || null;
+    }
+    log('[SWGoH] playerRankStatus — leagueId:', prs.leagueId, 'divisionId:', prs.divisionId);
+  }
+
+  log('[SWGoH] Final GA data:', JSON.stringify(response.grand_arena));
+
+  // Extract currencies — try multiple possible field names
+  var currencies = {};
+  var currencyArray = raw.currency || raw.currencyItem || raw.profileCurrency || [];
+  
+  // If not found as array, search all fields for currency-like data
+  if (!Array.isArray(currencyArray) || currencyArray.length === 0) {
+    Object.keys(raw).forEach(function(key) {
+      if (key.toLowerCase().indexOf('currenc') >= 0 || key.toLowerCase().indexOf('resource') >= 0) {
+        var val = raw[key];
+        if (Array.isArray(val)) currencyArray = val;
+        else if (typeof val === 'object' && val !== null) currencyArray = [val];
+      }
+    });
+  }
+
+  log('[SWGoH] Currency array length:', (currencyArray || []).length);
+  if (currencyArray.length > 0) {
+    log('[SWGoH] Currency sample:', JSON.stringify(currencyArray.slice(0, 3)));
+  }
+
+  (currencyArray || []).forEach(function(c) {
+    var id = String(c.id || c.currencyId || c.key || '').toUpperCase();
+    var qty = parseInt(c.quantity || c.value || c.amount || 0);
+    // Map known currency IDs
+    if (id === '1' || id.indexOf('CREDIT') >= 0) currencies.credits = qty;
+    if (id === '2' || id.indexOf('CRYSTAL') >= 0 || id.indexOf('PREMIUM') >= 0) currencies.crystals = qty;
+    if (id === '3' || id.indexOf('ALLY') >= 0) currencies.ally_points = qty;
+    if (id === '4' || id.indexOf('CANTINA') >= 0) currencies.cantina = qty;
+    if (id === '5' || id.indexOf('SQUAD') >= 0) currencies.squad_arena_tokens = qty;
+    if (id === '6' || id.indexOf('FLEET') >= 0 || id.indexOf('SHIP_PRESTIGE') >= 0) currencies.fleet_tokens = qty;
+    if (id === '7' || id.indexOf('GALACTIC_WAR') >= 0 || id.indexOf('GW') >= 0) currencies.gw_tokens = qty;
+    if (id === '15' || id.indexOf('GUILD_EVENT_TOKEN_1') >= 0 || id === 'GET1') currencies.get1 = qty;
+    if (id === '16' || id.indexOf('GUILD_EVENT_TOKEN_2') >= 0 || id === 'GET2') currencies.get2 = qty;
+    if (id === '17' || id.indexOf('GUILD_EVENT_TOKEN_3') >= 0 || id === 'GET3') currencies.get3 = qty;
+  });
+  response.currencies = currencies;
+
+  log('[SWGoH] Parsed currencies:', JSON.stringify(currencies));
+
+  // Extract datacrons
+  var datacrons = [];
+  var datacronArray = raw.datacron || raw.datacronList || [];
+  log('[SWGoH] Datacron array length:', datacronArray.length);
+  if (datacronArray.length > 0) {
+    log('[SWGoH] Datacron sample:', JSON.stringify(datacronArray[0]).slice(0, 500));
+  }
+
+  datacronArray.forEach(function(dc) {
+    var dcData = {
+      id: dc.id || '',
+      setId: dc.setId || dc.templateId || '',
+      level: dc.tier || dc.level || 0,
+      locked: dc.locked || false,
+      targetRule: dc.targetRule || '',
+      affix: []
+    };
+
+    // Parse affixes (the stat bonuses and abilities)
+    (dc.affix || dc.affixList || []).forEach(function(af) {
+      var affixInfo = {
+        id: af.targetRule || af.abilityId || af.id || '',
+        scope: af.scopeIcon || af.scope || '',
+        ability: af.abilityId || ''
+      };
+      // Stat bonuses
+      if (af.statType || af.stat) {
+        affixInfo.stat = af.statType || (af.stat && af.stat.unitStatId) || '';
+        affixInfo.value = parseInt(af.statValue || (af.stat && af.stat.unscaledDecimalValue) || 0);
+      }
+      dcData.affix.push(affixInfo);
+    });
+
+    datacrons.push(dcData);
+  });
+
+  response.datacrons = datacrons;
+  log('[SWGoH] Parsed datacrons:', datacrons.length);
+
+  return response;
+}
+
+// ===== ROSTER SUMMARY (pipe-delimited format described in server.js SYSTEM_PROMPT) =====
+// Characters: Name|G13|7*|R7|Z2/3|O1/1|L85|+312Spd
+// Ships:      Name|7*|L85
+// Datacrons:  DC1|Lv9|Set:24|bonus,bonus
+// R is omitted below relic 1; Z/O are omitted when the unit has none available.
+function getModSpeed(mods) {
+  var speed = 0;
+  (mods || []).forEach(function(mod) {
+    if (mod.primary && mod.primary.stat === 'speed') speed += mod.primary.value || 0;
+    (mod.secondaries || []).forEach(function(sec) {
+      if (sec.stat === 'speed') speed += sec.value || 0;
+    });
+  });
+  return speed;
+}
+
+function formatCharacterLine(c) {
+  var parts = [c.name, 'G' + c.gear_level, c.rarity + '*'];
+  if (c.relic_tier > 0) parts.push('R' + c.relic_tier);
+  var zApplied = c.zeta_skill_ids.length;
+  var zTotal = zApplied + c.missing_zeta_ids.length;
+  var oApplied = c.omicron_skill_ids.length;
+  var oTotal = oApplied + c.missing_omicron_ids.length;
+  if (zTotal > 0) parts.push('Z' + zApplied + '/' + zTotal);
+  if (oTotal > 0) parts.push('O' + oApplied + '/' + oTotal);
+  parts.push('L' + c.level);
+  var modSpeed = getModSpeed(c.mods);
+  if (modSpeed > 0) parts.push('+' + modSpeed + 'Spd');
+  if (c.factions && c.factions.length > 0) parts.push('F:' + c.factions.join(','));
+  // Omicron abilities: +applied / -available, with ability type and game mode
+  var omicrons = (c.omicron_abilities || []).map(function(a) { return '+' + formatOmicronAbility(a); })
+    .concat((c.missing_omicron_abilities || []).map(function(a) { return '-' + formatOmicronAbility(a); }));
+  if (omicrons.length > 0) parts.push('Om:' + omicrons.join(';'));
+  return parts.join('|');
+}
+
+function formatOmicronAbility(a) {
+  return a.name + '(' + a.type + (a.omicron_mode_label ? ',' + a.omicron_mode_label : '') + ')';
+}
+
+function formatShipLine(s) {
+  return [s.name, s.rarity + '*', 'L' + s.level].join('|');
+}
+
+function formatDatacronLine(dc, idx) {
+  var bonuses = (dc.affix || []).map(function(af) {
+    if (af.stat) return af.stat + ':' + af.value;
+    return af.ability || af.id;
+  }).filter(Boolean);
+  return ['DC' + (idx + 1), 'Lv' + dc.level, 'Set:' + dc.setId, bonuses.join(',')].join('|');
+}
+
+// Strongest units first so the model sees the relevant part of big rosters up front
+function compareUnitsByProgress(a, b) {
+  return (b.relic_tier - a.relic_tier) || (b.gear_level - a.gear_level) ||
+         (b.rarity - a.rarity) || (b.level - a.level);
+}
+
+function formatPlayerHeader(player) {
+  var lines = [];
+  lines.push('Player: ' + player.name + ' | Ally code: ' + player.ally_code +
+    ' | GP: ' + player.galactic_power + ' (chars ' + player.character_galactic_power +
+    ', ships ' + player.ship_galactic_power + ')' +
+    (player.guild_name ? ' | Guild: ' + player.guild_name : ''));
+  if (player.grand_arena && player.grand_arena.league_tier) {
+    lines.push('GAC: ' + player.grand_arena.league_tier + ' div ' + player.grand_arena.division_tier);
+  }
+  return lines;
+}
+
+// Readiness for locked GLs/journeys: Name|readiness%|gaps as Unit need(has)
+function formatJourneyLines(player, ctx) {
+  var locked = scoreJourneys(player, ctx).filter(function(j) { return !j.unlocked; });
+  if (locked.length === 0) return [];
+  var lines = ['', 'Journey readiness (locked GLs/journeys):'];
+  locked.forEach(function(j) {
+    var gaps = j.gaps.map(function(g) { return g.name + ' ' + g.required + '(' + g.current + ')'; });
+    lines.push(j.name + '|' + j.readiness + '%|' + (gaps.length ? gaps.join(', ') : 'ready'));
+  });
+  return lines;
+}
+
+// ctx (optional): game data context, used for names of units missing from the roster
+function buildRosterSummary(player, ctx) {
+  var lines = formatPlayerHeader(player);
+
+  lines.push('', 'Characters (' + player.characters.length + '):');
+  player.characters.slice().sort(compareUnitsByProgress).forEach(function(c) {
+    lines.push(formatCharacterLine(c));
+  });
+
+  lines.push('', 'Ships (' + player.ships.length + '):');
+  player.ships.slice().sort(compareUnitsByProgress).forEach(function(s) {
+    lines.push(formatShipLine(s));
+  });
+
+  lines = lines.concat(formatJourneyLines(player, ctx));
+
+  if (player.datacrons && player.datacrons.length > 0) {
+    lines.push('', 'Datacrons (' + player.datacrons.length + '):');
+    player.datacrons.forEach(function(dc, idx) {
+      lines.push(formatDatacronLine(dc, idx));
+    });
+  }
+
+  return lines.join('\n');
+}
+
+// ===== ROSTER OVERVIEW (compact roster block for chats that look units up with tools) =====
+// Header, roster totals, GLs and only the strongest units in the summary line format —
+// everything else is fetched on demand, so the block stays small on big rosters.
+var OVERVIEW_RELIC_TIERS = [5, 7, 8, 9];
+
+// options.topUnits: how many character lines to include (default 25; ships get a fifth of that)
+function buildRosterOverview(player, ctx, options) {
+  var topUnits = (options && options.topUnits) || 25;
+  var lines = formatPlayerHeader(player);
+
+  var relics = OVERVIEW_RELIC_TIERS.map(function(t) {
+    return 'R' + t + '+: ' + player.characters.filter(function(c) { return c.relic_tier >= t; }).length;
+  });
+  lines.push('Roster: ' + player.characters.length + ' characters, ' + player.ships.length + ' ships | ' + relics.join(', '));
+
+  var gls = player.characters.concat(player.ships).filter(isGalacticLegend);
+  lines.push('Galactic Legends: ' + (gls.length ? gls.map(function(u) { return u.name; }).join(', ') : 'none'));
+
+  var characters = player.characters.slice().sort(compareUnitsByProgress);
+  lines.push('', 'Top characters (' + Math.min(topUnits, characters.length) + ' of ' + characters.length + '):');
+  characters.slice(0, topUnits).forEach(function(c) {
+    lines.push(formatCharacterLine(c));
+  });
+
+  var ships = player.ships.slice().sort(compareUnitsByProgress);
+  var topShips = Math.max(1, Math.round(topUnits / 5));
+  lines.push('', 'Top ships (' + Math.min(topShips, ships.length) + ' of ' + ships.length + '):');
+  ships.slice(0, topShips).forEach(function(s) {
+    lines.push(formatShipLine(s));
+  });
+
+  lines = lines.concat(formatJourneyLines(player, ctx));
+
+  if (player.datacrons && player.datacrons.length > 0) {
+    lines.push('', 'Datacrons: ' + player.datacrons.length);
+  }
+
+  return lines.join('\n');
+}
+
+// ===== ROSTER CONTEXT BUDGET (keeps a summary or overview under a token budget) =====
+// Header lines, section headings and journey readiness are always kept. Unit and datacron lines
+// are ranked within their section by relic, gear and stars — unit GP isn't in the /player response, and progress is
+// what drives it — and the lowest-ranked are dropped. The ranking ignores the message on purpose
+// so the trimmed block stays identical across turns (prompt cache hits); units the message names
+// that didn't make the cut come back separately as mentioned_lines.
+var CHARS_PER_TOKEN = 4;
+var PINNED_SECTION_RE = /^Journey readiness/;
+var MAX_MENTIONED_LINES = 20;
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function isSectionHeading(line) {
+  return line.indexOf('|') < 0 && /:$/.test(line);
+}
+
+// Characters: Name|G13|7*|R7|... Ships: Name|7*|L85 Datacrons: DC1|Lv9|...
+function scoreSummaryLine(line) {
+  var fields = line.split('|');
+  var score = 0;
+  fields.slice(1).forEach(function(field) {
+    var m;
+    if ((m = /^R(\d+)$/.exec(field))) score += parseInt(m[1]) * 100;
+    else if ((m = /^G(\d+)$/.exec(field))) score += parseInt(m[1]) * 10;
+    else if ((m = /^(\d)\*$/.exec(field))) score += parseInt(m[1]);
+    else if ((m = /^Lv(\d+)$/.exec(field))) score += parseInt(m[1]) * 10;
+  });
+  return score;
+}
+
+function nameWords(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Names the message refers to: the full name, or a distinctive word of it ("traya") —
+// words shared by more than two names ("darth", "clone") don't count on their own
+function findMentionedNames(names, message) {
+  var text = ' ' + nameWords(message).join(' ') + ' ';
+  if (text.trim() === '') return [];
+  var wordCounts = {};
+  names.forEach(function(name) {
+    nameWords(name).filter(function(w, i, all) { return all.indexOf(w) === i; }).forEach(function(w) {
+      wordCounts[w] = (wordCounts[w] || 0) + 1;
+    });
+  });
+  return names.filter(function(name) {
+    var words = nameWords(name);
+    if (words.length && text.indexOf(' ' + words.join(' ') + ' ') >= 0) return true;
+    return words.some(function(w) {
+      return w.length >= 4 && wordCounts[w] <= 2 && text.indexOf(' ' + w + ' ') >= 0;
+    });
+  });
+}
+
+// options.maxTokens: budget for the block (0 = unlimited)
+// options.message:   the user's message, checked for unit names
+// → { text, lines, trimmed_lines, estimated_tokens, mentioned_lines }
+function budgetRosterSummary(summary, options) {
+  var maxTokens = (options && options.maxTokens) || 0;
+  var lines = String(summary || '').split('\n');
+  var result = {
+    text: summary || '',
+    lines: lines.length,
+    trimmed_lines: 0,
+    estimated_tokens: estimateTokens(summary),
+    mentioned_lines: []
+  };
+  if (!maxTokens || result.estimated_tokens <= maxTokens) return result;
+
+  var candidates = [];
+  var section = -1;
+  var candidateChars = 0;
+  lines.forEach(function(line, idx) {
+    if (isSectionHeading(line)) { section = idx; return; }
+    if (section < 0 || !line || PINNED_SECTION_RE.test(lines[section])) return;
+    candidates.push({ idx: idx, section: section, score: scoreSummaryLine(line) });
+    candidateChars += line.length + 1;
+  });
+
+  // Room left once the pinned lines and one omission note per section are in
+  var sectionCount = lines.filter(isSectionHeading).length;
+  var room = maxTokens * CHARS_PER_TOKEN - (summary.length - candidateChars) - sectionCount * 64;
+  // Each section gets its share of the room, so ships and datacrons aren't crowded out by characters
+  var bySection = {};
+  candidates.forEach(function(c) { (bySection[c.section] = bySection[c.section] || []).push(c); });
+  var keep = {};
+  Object.keys(bySection).forEach(function(section) {
+    var list = bySection[section];
+    var sectionChars = list.reduce(function(sum, c) { return sum + lines[c.idx].length + 1; }, 0);
+    var sectionRoom = room * sectionChars / candidateChars;
+    list.slice().sort(function(a, b) { return (b.score - a.score) || (a.idx - b.idx); })
+      .every(function(c) {
+        sectionRoom -= lines[c.idx].length + 1;
+        if (sectionRoom < 0) return false;
+        keep[c.idx] = true;
+        return true;
+      });
+  });
+
+  var dropped = candidates.filter(function(c) { return !keep[c.idx]; });
+  var droppedIdx = {};
+  var droppedBySection = {};
+  dropped.forEach(function(c) {
+    droppedIdx[c.idx] = true;
+    droppedBySection[c.section] = (droppedBySection[c.section] || 0) + 1;
+  });
+
+  var out = [];
+  lines.forEach(function(line, idx) {
+    if (droppedIdx[idx]) return;
+    out.push(line);
+    if (droppedBySection[idx]) {
+      out.push('(' + droppedBySection[idx] + ' lower-ranked ' + (droppedBySection[idx] === 1 ? 'line' : 'lines') +
+        ' omitted to fit the context budget)');
+    }
+  });
+
+  function lineName(c) { return lines[c.idx].split('|')[0]; }
+  var mentioned = findMentionedNames(candidates.map(lineName), options.message);
+  result.text = out.join('\n');
+  result.trimmed_lines = dropped.length;
+  result.estimated_tokens = estimateTokens(result.text);
+  result.mentioned_lines = dropped.filter(function(c) { return mentioned.indexOf(lineName(c)) >= 0; })
+    .slice(0, MAX_MENTIONED_LINES)
+    .map(function(c) { return lines[c.idx]; });
+  return result;
+}
+
+// ===== TABULAR EXPORT (csv / tsv / md / json) =====
+// Three sheets: characters (with computed stats), ships, and mods (one row per equipped mod).
+// csv and tsv carry one sheet per file; md and json can hold all three.
+var EXPORT_FORMATS = ['csv', 'tsv', 'md', 'json'];
+var EXPORT_SHEETS = ['characters', 'ships', 'mods'];
+var EXPORT_STAT_FIELDS = ['speed', 'health', 'protection', 'phys_dmg', 'spec_dmg', 'armor', 'resistance',
+  'crit_chance', 'crit_dmg', 'potency', 'tenacity', 'mastery'];
+var MAX_MOD_SECONDARIES = 4;
+
+function exportCharacterRow(c) {
+  var stats = c.stats || {};
+  return [
+    c.base_id, c.name, c.rarity, c.level, c.gear_level, c.relic_tier,
+    c.zeta_skill_ids.length, c.zeta_skill_ids.length + c.missing_zeta_ids.length,
+    c.omicron_skill_ids.length, c.omicron_skill_ids.length + c.missing_omicron_ids.length,
+    getModSpeed(c.mods), (c.mods || []).length, c.alignment, (c.roles || []).join('; '), (c.factions || []).join('; ')
+  ].concat(EXPORT_STAT_FIELDS.map(function(f) { return c.stats ? stats[f] : null; }));
+}
+
+function exportModRows(c) {
+  return (c.mods || []).map(function(mod) {
+    var row = [
+      c.base_id, c.name, mod.slot, mod.set_name, mod.pips, mod.level, mod.grade,
+      mod.primary ? mod.primary.name : null, mod.primary ? mod.primary.value : null
+    ];
+    for (var i = 0; i < MAX_MOD_SECONDARIES; i++) {
+      var sec = mod.secondaries[i];
+      row.push(sec ? sec.name : null, sec ? sec.value : null, sec ? sec.rolls : null);
+    }
+    var speed = mod.secondaries.filter(function(sec) { return sec.stat === 'speed'; })[0];
+    row.push(speed ? speed.value : 0);
+    return row;
+  });
+}
+
+// player → { characters, ships, mods }, each { columns: [...], rows: [[...]] }
+function buildExportTables(player) {
+  var modColumns = ['base_id', 'name', 'slot', 'set', 'pips', 'level', 'grade', 'primary', 'primary_value'];
+  for (var i = 1; i <= MAX_MOD_SECONDARIES; i++) {
+    modColumns.push('secondary_' + i, 'secondary_' + i + '_value', 'secondary_' + i + '_rolls');
+  }
+  modColumns.push('speed_secondary');
+
+  var characters = player.characters.slice().sort(compareUnitsByProgress);
+  return {
+    characters: {
+      columns: ['base_id', 'name', 'rarity', 'level', 'gear', 'relic', 'zetas', 'zetas_total',
+        'omicrons', 'omicrons_total', 'mod_speed', 'mods', 'alignment', 'roles', 'factions'].concat(EXPORT_STAT_FIELDS),
+      rows: characters.map(exportCharacterRow)
+    },
+    ships: {
+      columns: ['base_id', 'name', 'rarity', 'level', 'alignment', 'roles', 'factions'],
+      rows: player.ships.slice().sort(compareUnitsByProgress).map(function(s) {
+        return [s.base_id, s.name, s.rarity, s.level, s.alignment, (s.roles || []).join('; '), (s.factions || []).join('; ')];
+      })
+    },
+    mods: {
+      columns: modColumns,
+      rows: characters.reduce(function(rows, c) { return rows.concat(exportModRows(c)); }, [])
+    }
+  };
+}
+
+function csvCell(value) {
+  var text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Spreadsheets split TSV on tabs and newlines only, so those are flattened instead of quoted
+function tsvCell(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+function markdownCell(value) {
+  return value === null || value === undefined ? '' : String(value).replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+function formatDelimited(table, format) {
+  var cell = format === 'tsv' ? tsvCell : csvCell;
+  var sep = format === 'tsv' ? '\t' : ',';
+  return [table.columns].concat(table.rows).map(function(row) {
+    return row.map(cell).join(sep);
+  }).join('\n') + '\n';
+}
+
+function formatMarkdownTable(table) {
+  var lines = ['| ' + table.columns.map(markdownCell).join(' | ') + ' |',
+               '|' + table.columns.map(function() { return ' --- '; }).join('|') + '|'];
+  table.rows.forEach(function(row) {
+    lines.push('| ' + row.map(markdownCell).join(' | ') + ' |');
+  });
+  return lines.join('\n');
+}
+
+// format: csv | tsv | md | json. sheet: characters | ships | mods, or null for all
+// (csv/tsv need a single sheet and default to characters). Returns the file body.
+function exportRoster(player, format, sheet) {
+  var tables = buildExportTables(player);
+  var sheets = sheet ? [sheet] : EXPORT_SHEETS;
+
+  if (format === 'csv' || format === 'tsv') return formatDelimited(tables[sheet || 'characters'], format);
+
+  if (format === 'md') {
+    var title = '# ' + player.name + ' (' + player.ally_code + ') — GP ' + player.galactic_power;
+    return [title].concat(sheets.map(function(name) {
+      return '## ' + name.charAt(0).toUpperCase() + name.slice(1) + ' (' + tables[name].rows.length + ')\n\n' +
+        formatMarkdownTable(tables[name]);
+    })).join('\n\n') + '\n';
+  }
+
+  // json: rows as objects keyed by column
+  var out = { name: player.name, ally_code: player.ally_code, galactic_power: player.galactic_power };
+  sheets.forEach(function(name) {
+    var table = tables[name];
+    out[name] = table.rows.map(function(row) {
+      var obj = {};
+      table.columns.forEach(function(col, i) { obj[col] = row[i]; });
+      return obj;
+    });
+  });
+  return JSON.stringify(out, null, 2) + '\n';
+}
+
+// ===== JOURNEY READINESS (Galactic Legends + journey unlocks) =====
+// Requirements live in catalog/journeys.json. Progress per unit counts stars, gear and
+// relic steps toward the requirement; journey readiness is the average over its units.
+var MAX_STARS = 7;
+var MAX_GEAR = 13;
+
+function formatRequirement(req) {
+  if (req.relic) return 'R' + req.relic;
+  if (req.gear) return 'G' + req.gear;
+  return (req.stars || MAX_STARS) + '*';
+}
+
+function formatUnitProgress(unit) {
+  if (!unit) return 'locked';
+  if (unit.relic_tier > 0) return 'R' + unit.relic_tier;
+  return 'G' + unit.gear_level + ' ' + unit.rarity + '*';
+}
+
+function scoreRequirement(req, unit) {
+  var needStars = req.relic || req.gear ? MAX_STARS : (req.stars || MAX_STARS);
+  var needGear = req.relic ? MAX_GEAR : (req.gear || 0);
+  var needRelic = req.relic || 0;
+
+  var stars = unit ? unit.rarity : 0;
+  var gear = unit ? unit.gear_level : 0;
+  var relic = unit ? unit.relic_tier : 0;
+
+  var steps = needStars + needGear + needRelic;
+  var done = Math.min(stars, needStars) + Math.min(gear, needGear) + Math.min(relic, needRelic);
+  var met = !!unit && stars >= needStars && gear >= needGear && relic >= needRelic;
+  return { progress: met ? 1 : done / steps, met: met };
+}
+
+function scoreJourney(journey, player, ctx) {
+  var roster = player.characters.concat(player.ships);
+  function byBaseId(id) {
+    return roster.find(function(u) { return u.base_id === id; });
+  }
+
+  var units = journey.requirements.map(function(req) {
+    var unit = byBaseId(req.base_id);
+    var score = scoreRequirement(req, unit);
+    return {
+      base_id: req.base_id,
+      name: unit ? unit.name : getUnitName(req.base_id, ctx),
+      required: formatRequirement(req),
+      current: formatUnitProgress(unit),
+      met: score.met,
+      progress: Math.round(score.progress * 100)
+    };
+  });
+
+  var total = units.reduce(function(sum, u) { return sum + u.progress; }, 0);
+  return {
+    id: journey.id,
+    name: journey.name,
+    type: journey.type,
+    unlocked: !!byBaseId(journey.id),
+    ready: units.every(function(u) { return u.met; }),
+    readiness: units.length ? Math.round(total / units.length) : 0,
+    requirements_met: units.filter(function(u) { return u.met; }).length,
+    requirements_total: units.length,
+    gaps: units.filter(function(u) { return !u.met; }),
+    units: units
+  };
+}
+
+function scoreJourneys(player, ctx) {
+  return JOURNEY_CATALOG.journeys.map(function(j) { return scoreJourney(j, player, ctx); });
+}
+
+module.exports = {
+  parsePlayer: parsePlayer,
+  parseCharacterStats: parseCharacterStats,
+  buildRosterSummary: buildRosterSummary,
+  buildRosterOverview: buildRosterOverview,
+  budgetRosterSummary: budgetRosterSummary,
+  estimateTokens: estimateTokens,
+  formatCharacterLine: formatCharacterLine,
+  formatShipLine: formatShipLine,
+  compareUnitsByProgress: compareUnitsByProgress,
+  exportRoster: exportRoster,
+  buildExportTables: buildExportTables,
+  scoreJourney: scoreJourney,
+  scoreJourneys: scoreJourneys,
+
+  cleanUnitId: cleanUnitId,
+  getUnitName: getUnitName,
+  getLocalizedText: getLocalizedText,
+  getCategoryName: getCategoryName,
+  getUnitTags: getUnitTags,
+  isGalacticLegend: isGalacticLegend,
+  getAbilityType: getAbilityType,
+  getAbilityName: getAbilityName,
+  describeAbility: describeAbility,
+  decodeMod: decodeMod,
+  resolveStatKey: resolveStatKey,
+  statKeyForId: statKeyForId,
+  getModSpeed: getModSpeed,
+
+  EXPORT_FORMATS: EXPORT_FORMATS,
+  EXPORT_SHEETS: EXPORT_SHEETS,
+  JOURNEY_CATALOG: JOURNEY_CATALOG,
+  GALACTIC_LEGEND_IDS: GALACTIC_LEGEND_IDS,
+  MAX_STARS: MAX_STARS,
+  MAX_GEAR: MAX_GEAR,
+  OMICRON_MODES: OMICRON_MODES,
+  GAC_OMICRON_MODES: GAC_OMICRON_MODES,
+  MOD_SETS: MOD_SETS,
+  MOD_SLOTS: MOD_SLOTS,
+  MOD_TIERS: MOD_TIERS,
+  UNIT_STATS: UNIT_STATS
+};
@@ -0,0 +1,149 @@
+// ============================================================
+//  PROMPT SCREENING — cheap checks on chat input before any paid model call
+//  Rules catch spoofed <<<USER_INPUT>>> delimiters and instruction-override
+//  attempts; a keyword classifier catches requests with nothing to do with the
+//  game. Nothing here calls a model: it is a filter in front of one, and the
+//  SECURITY RULES in the system prompt still apply to whatever gets through.
+// ============================================================
+
+// ===== RULES =====
+// Matching any of these blocks the message. Patterns are deliberately narrow —
+// "who should I use as leader" or "ignore the Traya counter" must pass.
+var DELIMITER_RE = /<{2,}\s*\/?\s*(END_?)?USER_?INPUT|(END_?)?USER_?INPUT\s*>{2,}/i;
+
+var INJECTION_RULES = [
+  {
+    id: 'ignore_instructions',
+    re: /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|your|system|original)\b[^.\n]{0,30}\b(instructions?|rules?|prompts?|directives?|guidelines?|constraints?)\b/i
+  },
+  {
+    id: 'reveal_prompt',
+    // Needs a prompt noun: "what are your guidelines for modding Traya?" is a coaching question
+    re: /\b(reveal|show|print|repeat|output|display|leak|tell me|what (is|are|were))\b[^.\n]{0,40}\b(system prompt|initial prompt|hidden prompt|your (system )?(instructions|prompt)\b(?!\s+(for|on|about|to)\b))/i
+  },
+  {
+    id: 'role_override',
+    // "from now on" only with a persona swap or a rules escape: "from now on you will focus on GAC" must pass
+    re: /\b(you are now|from now on,? you (are|will be|will act as|must act as) (no longer|dan|an? (unrestricted|unfiltered|uncensored|evil|different|new) (ai|assistant|model|bot|chatbot))|from now on,? you (will|must) (ignore|disregard|not follow|no longer|answer (anything|everything)|have no (rules|restrictions|limits|filters))|pretend (to be|you are|you're)|roleplay as|developer mode|jailbreak|do anything now|no longer (bound|restricted))\b/i
+  },
+  {
+    id: 'fake_role_tag',
+    re: /(^|\n)\s*(system|developer)\s*:|<\/?\s*(system|instructions?|assistant)\s*>|\[\/?(INST|SYSTEM)\]/i
+  }
+];
+
+// ===== OFF-TOPIC CLASSIFIER =====
+// Scores game vocabulary (plus unit names) against off-topic vocabulary and intents.
+// A message is off-topic when it scores OFF_TOPIC_THRESHOLD or more and its game score is
+// under 1 — short or ambiguous messages ("thanks!", "what now?") always pass.
+var OFF_TOPIC_THRESHOLD = 2;
+
+// Words that only mean the game: one is enough to make a message on-topic
+var GAME_TERMS = [
+  'swgoh', 'galaxy of heroes', 'gac', 'grand arena', 'territory war', 'territory battle', 'tw', 'tb',
+  'conquest', 'relic', 'relics', 'zeta', 'zetas', 'omicron', 'omicrons', 'modding', 'potency', 'tenacity',
+  'datacron', 'datacrons', 'gl', 'gls', 'galactic legend', 'ally code', 'kyber', 'aurodium', 'carbonite',
+  'cantina', 'toon', 'toons', 'gp', 'sith', 'jedi', 'first order', 'separatist', 'bounty hunter',
+  'bounty hunters', 'mandalorian', 'nightsister', 'nightsisters', 'inquisitor', 'ewok', 'ewoks', 'wookiee',
+  'turn meter', 'star wars', 'lightsaber', 'dark side', 'light side', 'the force'
+];
+
+// Everyday words the game also uses ("team", "event", "speed") — each counts WEAK_TERM_WEIGHT,
+// so "write a poem about my team" is still off-topic
+var WEAK_GAME_TERMS = [
+  'raid', 'gear', 'mod', 'mods', 'speed', 'squad', 'squads', 'team', 'teams', 'counter', 'counters', 'farm',
+  'farming', 'shard', 'shards', 'ship', 'ships', 'fleet', 'capital', 'journey', 'legend', 'guild', 'chromium',
+  'crystals', 'arena', 'leader', 'lead', 'unlock', 'character', 'characters', 'roster', 'empire', 'imperial',
+  'rebel', 'rebels', 'resistance', 'clone', 'clones', 'droid', 'droids', 'scoundrel', 'ability', 'abilities',
+  'tm', 'protection', 'crit', 'omega', 'stars', 'pilot', 'crew', 'tier', 'marquee', 'event'
+];
+var WEAK_TERM_WEIGHT = 0.5;
+
+var OFF_TOPIC_TERMS = [
+  'python', 'javascript', 'typescript', 'java', 'html', 'css', 'sql', 'coding', 'programming', 'compile',
+  'essay', 'homework', 'poem', 'recipe', 'cooking', 'weather', 'stock', 'stocks', 'crypto', 'bitcoin',
+  'invest', 'investing', 'politics', 'election', 'president', 'diagnosis', 'symptoms', 'lawyer', 'lawsuit',
+  'translate', 'calculus', 'equation', 'physics', 'chemistry', 'resume', 'cover letter', 'dating', 'girlfriend',
+  'boyfriend', 'lyrics', 'horoscope', 'mortgage', 'taxes'
+];
+
+// Requests that are off-topic on their own (each counts double)
+var OFF_TOPIC_INTENTS = [
+  /\b(write|compose|generate|draft)\b[^.\n]{0,25}\b(essay|poem|story|song|lyrics|email|letter|resume|code|script|program|function|article|sql query)\b/i,
+  /\b(solve|calculate|integrate|differentiate)\b[^.\n]{0,25}\b(equation|integral|derivative|homework|problem set)\b/i,
+  /\bhow (do|can|should) i\b[^.\n]{0,20}\b(cook|bake|lose weight|invest|make money|file my taxes)\b/i
+];
+
+function normalizeText(text) {
+  return ' ' + String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim() + ' ';
+}
+
+function countTerms(normalized, terms) {
+  return terms.filter(function(term) { return normalized.indexOf(' ' + term + ' ') >= 0; }).length;
+}
+
+// Unit names count as game vocabulary: full names, plus their distinctive words ("traya")
+function unitNameTerms(unitNames) {
+  var terms = new Set();
+  var names = Array.isArray(unitNames) ? unitNames : Object.values(unitNames || {});
+  names.forEach(function(name) {
+    var words = normalizeText(name).trim().split(' ').filter(Boolean);
+    if (words.length === 0) return;
+    terms.add(words.join(' '));
+    words.forEach(function(w) { if (w.length >= 4) terms.add(w); });
+  });
+  return Array.from(terms);
+}
+
+// Built once per unitNames object — the server swaps in a new name map when localization changes
+var unitTermsCache = { source: null, terms: [] };
+
+// unitNames: baseId → name map or array of names; pass the same object while the names are unchanged
+function classifyTopic(text, unitNames) {
+  if (unitTermsCache.source !== unitNames) {
+    unitTermsCache = { source: unitNames, terms: unitNameTerms(unitNames) };
+  }
+  var normalized = normalizeText(text);
+  var gameScore = countTerms(normalized, GAME_TERMS) + countTerms(normalized, unitTermsCache.terms) +
+    WEAK_TERM_WEIGHT * countTerms(normalized, WEAK_GAME_TERMS);
+  var offScore = countTerms(normalized, OFF_TOPIC_TERMS);
+  OFF_TOPIC_INTENTS.forEach(function(re) { if (re.test(text)) offScore += 2; });
+  return { game_score: gameScore, off_topic_score: offScore, off_topic: gameScore < 1 && offScore >= OFF_TOPIC_THRESHOLD };
+}
+
+// ===== PIPELINE =====
+function checkRules(text) {
+  if (DELIMITER_RE.test(text)) return 'delimiter_spoofing';
+  var hit = INJECTION_RULES.find(function(rule) { return rule.re.test(text); });
+  return hit ? hit.id : null;
+}
+
+// input.message:   the new user message
+// input.history:   client-sent [{ role, content }] turns — checked by the rules only
+// input.unitNames: unit names that count as on-topic (see classifyTopic)
+// → { allowed, reason: 'prompt_injection' | 'off_topic' | null, rule, source, scores }
+function screenChat(input) {
+  var message = String(input.message || '');
+  var verdict = { allowed: true, reason: null, rule: null, source: null, scores: null };
+
+  var rule = checkRules(message);
+  if (rule) return Object.assign(verdict, { allowed: false, reason: 'prompt_injection', rule: rule, source: 'message' });
+
+  var history = Array.isArray(input.history) ? input.history : [];
+  for (var i = 0; i < history.length; i++) {
+    var turn = history[i];
+    rule = turn && typeof turn.content === 'string' ? checkRules(turn.content) : null;
+    if (rule) return Object.assign(verdict, { allowed: false, reason: 'prompt_injection', rule: rule, source: 'history[' + i + ']' });
+  }
+
+  var topic = classifyTopic(message, input.unitNames);
+  verdict.scores = { game: topic.game_score, off_topic: topic.off_topic_score };
+  if (topic.off_topic) return Object.assign(verdict, { allowed: false, reason: 'off_topic', rule: 'classifier', source: 'message' });
+  return verdict;
+}
+
+module.exports = {
+  screenChat: screenChat,
+  classifyTopic: classifyTopic,
+  checkRules: checkRules
+};
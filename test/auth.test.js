@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, ADMIN_KEY } = require('./harness');
+
+test('ally code linking', async function(t) {
+  var server = await startServer();
+  var api = server.api;
+  t.after(server.close);
+
+  var created = await (await api('POST', '/api/admin/users', ADMIN_KEY, { name: 'tester' })).json();
+  var userKey = created.api_key;
+
+  await t.test('an unlinked user cannot read a roster', async function() {
+    var res = await api('GET', '/api/player/123456789', userKey);
+    assert.strictEqual(res.status, 403);
+  });
+
+  await t.test('guild routes need a key and a linked ally code', async function() {
+    assert.strictEqual((await api('GET', '/api/guild/by-ally-code/123456789')).status, 401);
+    assert.strictEqual((await api('GET', '/api/guild/by-ally-code/123456789', userKey)).status, 403);
+    assert.strictEqual((await api('GET', '/api/guild/SOMEGUILD', userKey)).status, 403);
+  });
+
+  await t.test('users cannot link ally codes themselves', async function() {
+    var res = await api('POST', '/api/me/ally-codes', userKey, { ally_code: '123456789' });
+    assert.strictEqual(res.status, 404);
+    var me = await (await api('GET', '/api/me', userKey)).json();
+    assert.deepStrictEqual(me.ally_codes, []);
+  });
+
+  await t.test('only admins can link ally codes', async function() {
+    var res = await api('POST', '/api/admin/users/' + created.user.id + '/ally-codes', userKey, { ally_code: '123456789' });
+    assert.strictEqual(res.status, 403);
+
+    res = await api('POST', '/api/admin/users/' + created.user.id + '/ally-codes', ADMIN_KEY, { ally_code: '123456789' });
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual((await res.json()).ally_codes, ['123456789']);
+  });
+
+  await t.test('a linked user can read the roster', async function() {
+    var res = await api('GET', '/api/player/123456789', userKey);
+    assert.strictEqual(res.status, 200);
+  });
+
+  await t.test('GAC compare needs your own ally code linked, not the opponent\'s', async function() {
+    var res = await api('GET', '/api/gac/compare?me=987654321&opponent=123456789', userKey);
+    assert.strictEqual(res.status, 403);
+    res = await api('GET', '/api/gac/compare?me=123456789&opponent=987654321', userKey);
+    assert.strictEqual(res.status, 200);
+  });
+});
+
+test('scouting turned off', async function(t) {
+  var server = await startServer({ ALLOW_SCOUTING: 'false' });
+  t.after(server.close);
+  var created = await (await server.api('POST', '/api/admin/users', ADMIN_KEY, { name: 'tester', ally_codes: ['123456789'] })).json();
+
+  var res = await server.api('GET', '/api/gac/compare?me=123456789&opponent=987654321', created.api_key);
+  assert.strictEqual(res.status, 403);
+});
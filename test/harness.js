@@ -0,0 +1,108 @@
+// Starts server.js against stand-ins for comlink and the Anthropic API, in a temp DATA_DIR.
+// Shared by the *.test.js files that go through HTTP.
+const http = require('http');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+var ADMIN_KEY = 'test-admin-key';
+
+function listen(server) {
+  return new Promise(function(resolve) {
+    server.listen(0, function() { resolve(server); });
+  });
+}
+
+function readBody(req) {
+  return new Promise(function(resolve) {
+    var body = '';
+    req.on('data', function(chunk) { body += chunk; });
+    req.on('end', function() { resolve(body); });
+  });
+}
+
+// Comlink stand-in: every ally code exists with an empty roster, game data is unavailable
+function startComlink() {
+  return listen(http.createServer(async function(req, res) {
+    var body = await readBody(req);
+    if (req.url === '/player') {
+      var allyCode = JSON.parse(body).payload.allyCode;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ name: 'Player ' + allyCode, allyCode: allyCode, rosterUnit: [] }));
+    }
+    res.writeHead(503);
+    res.end();
+  }));
+}
+
+// Anthropic stand-in: streams a fixed reply and keeps every request body in `requests`
+function startAnthropic() {
+  var requests = [];
+  var server = http.createServer(async function(req, res) {
+    requests.push(JSON.parse(await readBody(req)));
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    function send(type, data) { res.write('event: ' + type + '\ndata: ' + JSON.stringify(Object.assign({ type: type }, data)) + '\n\n'); }
+    send('message_start', { message: {
+      id: 'msg_test', type: 'message', role: 'assistant', model: 'test-model', content: [],
+      stop_reason: null, stop_sequence: null, usage: { input_tokens: 10, output_tokens: 1 }
+    } });
+    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Coach reply.' } });
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 3 } });
+    send('message_stop', {});
+    res.end();
+  });
+  return listen(server).then(function() {
+    server.requests = requests;
+    return server;
+  });
+}
+
+// env: extra environment for server.js. Resolves with { base, api(method, url, key, body), anthropic, close() }
+async function startServer(env) {
+  var dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'swgoh-coach-test-'));
+  var comlink = await startComlink();
+  var anthropic = await startAnthropic();
+  var port = 3400 + Math.floor(Math.random() * 2000);
+  var base = 'http://localhost:' + port;
+  var child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: Object.assign({}, process.env, {
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      COMLINK_URL: 'http://localhost:' + comlink.address().port,
+      ANTHROPIC_BASE_URL: 'http://localhost:' + anthropic.address().port,
+      ANTHROPIC_API_KEY: 'unused',
+      ADMIN_API_KEY: ADMIN_KEY,
+      AUTH_REQUIRED: 'true'
+    }, env),
+    stdio: 'ignore'
+  });
+
+  function close() {
+    child.kill();
+    comlink.close();
+    anthropic.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  function api(method, url, key, body) {
+    var headers = { 'Content-Type': 'application/json' };
+    if (key) headers.Authorization = 'Bearer ' + key;
+    return fetch(base + url, { method: method, headers: headers, body: body ? JSON.stringify(body) : undefined });
+  }
+
+  for (var i = 0; i < 80; i++) {
+    try {
+      await fetch(base + '/health');
+      return { base: base, api: api, anthropic: anthropic, close: close };
+    } catch (err) {
+      await new Promise(function(resolve) { setTimeout(resolve, 250); });
+    }
+  }
+  close();
+  throw new Error('server did not start');
+}
+
+module.exports = { startServer: startServer, ADMIN_KEY: ADMIN_KEY };
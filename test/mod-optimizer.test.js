@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const modOptimizer = require('../lib/mod-optimizer');
+
+var SLOTS = ['square', 'arrow', 'diamond', 'triangle', 'circle', 'cross'];
+var SETS = ['speed', 'health', 'offense', 'potency', 'crit_chance', 'tenacity'];
+
+// Deterministic roster: `units` characters, each with a full set of 6 mods
+function buildPlayer(units) {
+  var seed = 42;
+  function rand(max) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed % max;
+  }
+  var characters = [];
+  for (var u = 0; u < units; u++) {
+    var mods = SLOTS.map(function(slot) {
+      return {
+        id: 'U' + u + ':' + slot,
+        set: SETS[rand(SETS.length)],
+        pips: 5,
+        slot: slot,
+        level: 15,
+        primary: slot === 'arrow' && rand(2) === 0 ? { stat: 'speed', value: 30 } : { stat: 'offense_pct', value: 5.88 },
+        secondaries: [
+          { stat: 'speed', value: rand(24) },
+          { stat: 'potency', value: rand(100) / 10 },
+          { stat: 'health', value: rand(1500) }
+        ]
+      };
+    });
+    // Base speed 150 before mods (no speed set bonus is counted here)
+    var modSpeed = mods.reduce(function(sum, m) {
+      return sum + (m.primary.stat === 'speed' ? m.primary.value : 0) + m.secondaries[0].value;
+    }, 0);
+    characters.push({ base_id: 'UNIT' + u, name: 'Unit ' + u, combat_type: 1, stats: { speed: 150 + modSpeed }, mods: mods });
+  }
+  return { characters: characters, ships: [] };
+}
+
+function request(player, fields) {
+  return Object.assign({ unit: player.characters[0], weights: { speed: 1 }, primaries: {}, sets: [], target_speed: null }, fields);
+}
+
+test('a speed target on a 60-unit roster finishes within the node budget', function() {
+  var player = buildPlayer(60);
+  var pool = modOptimizer.buildModPool(player);
+  var started = Date.now();
+  var result = modOptimizer.optimizeUnitMods(request(player, { target_speed: 260 }), pool, {});
+
+  assert.ok(Date.now() - started < 5000, 'search took ' + (Date.now() - started) + 'ms');
+  assert.ok(result.nodes <= modOptimizer.MOD_OPTIMIZER_MAX_NODES);
+  assert.strictEqual(result.mods.length, 6);
+  assert.ok(modOptimizer.totalSpeedFor(result.mods, result.base_speed) >= 260);
+});
+
+test('an unreachable speed target finishes within the node budget', function() {
+  var player = buildPlayer(60);
+  var pool = modOptimizer.buildModPool(player);
+  var result = modOptimizer.optimizeUnitMods(request(player, { weights: { speed: 1, potency: 1 }, target_speed: 400 }), pool, {});
+
+  assert.ok(result.nodes <= modOptimizer.MOD_OPTIMIZER_MAX_NODES);
+  assert.strictEqual(result.mods.length, 6);
+});
+
+test('a speed target with other weights still reaches the target', function() {
+  var player = buildPlayer(60);
+  var pool = modOptimizer.buildModPool(player);
+  var result = modOptimizer.optimizeUnitMods(request(player, { weights: { speed: 1, potency: 0.5 }, target_speed: 250 }), pool, {});
+
+  assert.strictEqual(result.mods.length, 6);
+  assert.ok(modOptimizer.totalSpeedFor(result.mods, result.base_speed) >= 250);
+});
+
+test('a search that runs out of nodes returns the best combination found so far', function() {
+  var player = buildPlayer(60);
+  var pool = modOptimizer.buildModPool(player);
+  var result = modOptimizer.optimizeUnitMods(request(player, { weights: { speed: 1, potency: 1 }, target_speed: 400 }), pool, {}, { maxNodes: 50 });
+
+  assert.strictEqual(result.optimal, false);
+  assert.strictEqual(result.mods.length, 6);
+});
+
+test('a passed deadline stops the search', function() {
+  var player = buildPlayer(60);
+  var pool = modOptimizer.buildModPool(player);
+  var result = modOptimizer.optimizeUnitMods(request(player, { target_speed: 260 }), pool, {}, { deadline: Date.now() - 1 });
+
+  assert.ok(result.nodes <= 1024);
+});
+
+test('mods taken by an earlier unit are not reused', function() {
+  var player = buildPlayer(20);
+  var pool = modOptimizer.buildModPool(player);
+  var first = modOptimizer.optimizeUnitMods(request(player), pool, {});
+  var taken = {};
+  first.mods.forEach(function(m) { taken[m.id] = true; });
+  var second = modOptimizer.optimizeUnitMods(request(player, { unit: player.characters[1] }), pool, taken);
+
+  second.mods.forEach(function(m) { assert.ok(!taken[m.id], m.id + ' was reused'); });
+});
+
+test('required sets are completed', function() {
+  var player = buildPlayer(20);
+  var pool = modOptimizer.buildModPool(player);
+  var speedSet = { key: 'speed', name: 'Speed', size: 4 };
+  var result = modOptimizer.optimizeUnitMods(request(player, { sets: [speedSet], target_speed: 240 }), pool, {});
+
+  assert.ok(modOptimizer.completedSets(result.mods).indexOf('speed') >= 0);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const rateLimiting = require('../lib/rate-limit');
+
+var POLICIES = { chat: { capacity: 5, refill_per_minute: 1 } };
+
+test('a bucket allows its capacity, then refuses', async function() {
+  var limiter = rateLimiting.createRateLimiter({ policies: POLICIES, store: rateLimiting.createMemoryStore() });
+  for (var i = 0; i < 5; i++) assert.strictEqual((await limiter.consume('chat', 'a')).allowed, true);
+  var refused = await limiter.consume('chat', 'a');
+  assert.strictEqual(refused.allowed, false);
+  assert.ok(refused.retry_after > 0);
+  assert.strictEqual((await limiter.consume('chat', 'b')).allowed, true);
+});
+
+test('instances using one shared file store draw from the same buckets', async function(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swgoh-coach-ratelimit-'));
+  t.after(function() { fs.rmSync(dir, { recursive: true, force: true }); });
+  var file = path.join(dir, 'shared-buckets.json');
+
+  // Two stores on one file stand in for two server instances
+  var instances = [0, 1].map(function() {
+    return rateLimiting.createRateLimiter({ policies: POLICIES, store: rateLimiting.createSharedFileStore(file) });
+  });
+  var attempts = [];
+  for (var i = 0; i < 12; i++) attempts.push(instances[i % 2].consume('chat', 'user:1'));
+  var results = await Promise.all(attempts);
+
+  var allowed = results.filter(function(r) { return r.allowed; }).length;
+  assert.strictEqual(allowed, 5);
+  assert.ok(!fs.existsSync(file + '.lock'), 'lock file left behind');
+});
+
+test('a stale lock from a crashed instance is broken', async function(t) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'swgoh-coach-ratelimit-'));
+  t.after(function() { fs.rmSync(dir, { recursive: true, force: true }); });
+  var file = path.join(dir, 'shared-buckets.json');
+  fs.writeFileSync(file + '.lock', '');
+  var past = new Date(Date.now() - 60000);
+  fs.utimesSync(file + '.lock', past, past);
+
+  var limiter = rateLimiting.createRateLimiter({ policies: POLICIES, store: rateLimiting.createSharedFileStore(file) });
+  assert.strictEqual((await limiter.consume('chat', 'a')).allowed, true);
+});